@@ -0,0 +1,182 @@
+// --- Static analysis ---
+// Inspects a layout without running it and reports likely wiring mistakes.
+// Each finding is { type, severity: 'warning' | 'info', message, triggers, channels }.
+
+const FINDING_TYPES = ['dead-channel', 'unlistened-output', 'never-activated', 'conflicting-inputs', 'feedback-cycle'];
+
+const fieldLabel = (device, property) => {
+    const field = device.constructor.fields.find(candidate => candidate.property === property);
+    return field ? field.label : property;
+};
+
+// What a pulse on a channel that both activates and deactivates a device ends up doing,
+// which depends on how that device type's handlePulse() applies the two
+const describeConflict = (device, on, off) => {
+    switch (device.type) {
+        case 'counter':
+            return 'both apply, so the count goes up and straight back down: one below the target it touches the target without firing, and at the target every pulse on it fires again';
+        case 'repeater':
+            return `${fieldLabel(device, on.property)} is applied after ${fieldLabel(device, off.property)}, so a pulse on it restarts the repetitions instead of stopping them`;
+        default: {
+            const order = device.constructor.inputs.map(input => input.property);
+            const last = order.indexOf(on.property) > order.indexOf(off.property) ? on : off;
+            return `${fieldLabel(device, last.property)} is applied last and always wins`;
+        }
+    }
+};
+
+// Channels pulsed from outside the layout: by scenarios, input panel buttons, or by hand since the last reset
+const getExternalChannels = (engine) => new Set([
+    ...engine.inputs.map(input => input.channel),
+    ...engine.scenarios.flatMap(scenario => (Array.isArray(scenario.pulses) ? scenario.pulses : []).map(pulse => pulse.channel)),
+    ...engine.trace.pulses.filter(pulse => pulse.sourceId === 'EXTERNAL').map(pulse => pulse.channel),
+]);
+
+// Groups of devices that can pulse each other in a loop (Tarjan's strongly connected components).
+// Iterative, so long chains of devices don't overflow the call stack.
+const findCycles = (devices, connections) => {
+    const edges = new Map(devices.map(device => [device.id, []]));
+    connections.forEach(connection => edges.get(connection.from).push(connection.to));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const open = (id) => {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+    };
+    const close = (id) => {
+        if (lowLink.get(id) !== index.get(id)) return;
+        const component = [];
+        let member;
+        do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+        } while (member !== id);
+        if (component.length > 1 || edges.get(id).includes(id)) cycles.push(component.reverse());
+    };
+    const visit = (root) => {
+        open(root);
+        const work = [{ id: root, next: 0 }]; // Each device being visited, with the next edge to follow
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const next = edges.get(frame.id)[frame.next++];
+            if (next !== undefined) {
+                if (!index.has(next)) {
+                    open(next);
+                    work.push({ id: next, next: 0 });
+                } else if (onStack.has(next)) {
+                    lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(next)));
+                }
+                continue;
+            }
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].id;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.id)));
+            }
+            close(frame.id);
+        }
+    };
+    devices.forEach(device => { if (!index.has(device.id)) visit(device.id); });
+    return cycles;
+};
+
+const analyzeLayout = (engine) => {
+    const findings = [];
+    const devices = Object.values(engine.triggers);
+    const connections = engine.getConnections();
+    const external = getExternalChannels(engine);
+    const emitted = new Set(devices.flatMap(device => device.getOutputs()));
+    const listened = new Set(devices.flatMap(device => device.getInputs().flatMap(input => input.channels)));
+    const isDead = (channel) => !emitted.has(channel) && !external.has(channel);
+
+    // Channels listened on that nothing ever sends
+    listened.forEach(channel => {
+        if (!isDead(channel)) return;
+        const listeners = engine.getListeners(channel).map(device => device.id);
+        findings.push({
+            type: 'dead-channel',
+            severity: 'warning',
+            message: `Nothing sends '${channel}', and no scenario or input button pulses it; ${listeners.join(', ')} only react${listeners.length === 1 ? 's' : ''} to manual pulses on it.`,
+            triggers: listeners,
+            channels: [channel],
+        });
+    });
+
+    devices.forEach(device => {
+        // Outputs nobody listens to
+        device.getOutputs().forEach(channel => {
+            if (listened.has(channel)) return;
+            findings.push({
+                type: 'unlistened-output',
+                severity: 'info',
+                message: `'${device.id}' sends '${channel}', but nothing listens to it.`,
+                triggers: [device.id],
+                channels: [channel],
+            });
+        });
+
+        // Triggers that start inactive and can never be activated, and other
+        // devices none of whose inputs can ever be pulsed
+        const inputs = device.getInputs();
+        const isTrigger = device.type === 'trigger';
+        const channels = (isTrigger ? inputs.filter(input => input.wire === 'activate') : inputs).flatMap(input => input.channels);
+        if (!(isTrigger && device.initialState) && channels.every(isDead)) {
+            const subject = isTrigger ? `'${device.id}' starts inactive and` : `'${device.id}'`;
+            const what = isTrigger ? 'be activated' : 'be reached';
+            findings.push({
+                type: 'never-activated',
+                severity: 'warning',
+                message: channels.length === 0
+                    ? `${subject} can never ${what}.`
+                    : `${subject} can only ${what} by a manual pulse on ${channels.join(', ')}.`,
+                triggers: [device.id],
+                channels,
+            });
+        }
+
+        // The same channel with opposite effects
+        const activate = inputs.filter(input => input.wire === 'activate');
+        const deactivate = inputs.filter(input => input.wire === 'deactivate');
+        activate.forEach(on => deactivate.forEach(off => {
+            on.channels.filter(channel => off.channels.includes(channel)).forEach(channel => {
+                findings.push({
+                    type: 'conflicting-inputs',
+                    severity: 'warning',
+                    message: `'${device.id}' has '${channel}' in both ${fieldLabel(device, on.property)} and ${fieldLabel(device, off.property)}; ${describeConflict(device, on, off)}.`,
+                    triggers: [device.id],
+                    channels: [channel],
+                });
+            });
+        }));
+    });
+
+    // Feedback cycles; ones marked as expected loops are only informational
+    findCycles(devices, connections).forEach(cycle => {
+        const channels = [...new Set(connections
+            .filter(connection => cycle.includes(connection.from) && cycle.includes(connection.to))
+            .map(connection => connection.channel))];
+        const expected = engine.isExpectedLoop(channels);
+        findings.push({
+            type: 'feedback-cycle',
+            severity: expected ? 'info' : 'warning',
+            message: `Feedback cycle through ${cycle.join(', ')} on ${channels.join(', ')}${expected ? ' (expected loop)' : ''}.`,
+            triggers: cycle,
+            channels,
+        });
+    });
+
+    return findings;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FINDING_TYPES, analyzeLayout };
+}
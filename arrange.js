@@ -0,0 +1,205 @@
+// --- Auto-arrange ---
+// Lays a layout out left to right by signal flow, as a layered graph: feedback wires are
+// turned around so the graph has no cycles, devices go in columns by their longest path
+// from a source, and the columns are reordered to cut down wire crossings. Devices inside
+// a component instance move with it, so each instance is one node.
+
+const ARRANGE_COLUMN_GAP = 120;
+const ARRANGE_ROW_GAP = 40;
+const ARRANGE_SWEEPS = 8; // Crossing-reduction passes, alternating down and up
+const DEFAULT_NODE_SIZE = { width: 220, height: 180 };
+// Wires that skip columns pass through placeholder nodes this tall, which keeps them clear of devices
+const ARRANGE_DUMMY_HEIGHT = 20;
+
+// Nodes (top-level devices and instances) with the device-to-device wires between them
+const buildArrangeGraph = (engine) => {
+    const nodeOf = (id) => engine.triggers[id].instance || id;
+    const position = (id) => engine.instances[id] || engine.triggers[id];
+    const nodes = [
+        ...Object.values(engine.triggers).filter(device => !device.instance).map(device => device.id),
+        ...Object.keys(engine.instances),
+    ].sort((a, b) => (position(a).y || 0) - (position(b).y || 0)); // Keeps the current top-to-bottom order where it can
+    const edges = [];
+    const seen = new Set();
+    engine.getConnections().forEach(({ from, to }) => {
+        const edge = [nodeOf(from), nodeOf(to)];
+        const key = edge.join('\n');
+        if (edge[0] === edge[1] || seen.has(key)) return;
+        seen.add(key);
+        edges.push(edge);
+    });
+    return { nodes, edges };
+};
+
+// Reverses the wires that close a feedback loop, searching from the sources first.
+// The depth-first search keeps its own stack, so long chains don't overflow the call stack.
+const breakCycles = (nodes, edges) => {
+    const outgoing = new Map(nodes.map(id => [id, []]));
+    edges.forEach(edge => outgoing.get(edge[0]).push(edge));
+    const visiting = new Set();
+    const done = new Set();
+    const reversed = new Set();
+    const visit = (root) => {
+        visiting.add(root);
+        const work = [{ id: root, next: 0 }];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const edge = outgoing.get(frame.id)[frame.next++];
+            if (!edge) {
+                visiting.delete(frame.id);
+                done.add(frame.id);
+                work.pop();
+            } else if (visiting.has(edge[1])) {
+                reversed.add(edge);
+            } else if (!done.has(edge[1])) {
+                visiting.add(edge[1]);
+                work.push({ id: edge[1], next: 0 });
+            }
+        }
+    };
+    const hasIncoming = new Set(edges.map(edge => edge[1]));
+    [...nodes.filter(id => !hasIncoming.has(id)), ...nodes].forEach(id => {
+        if (!done.has(id)) visit(id);
+    });
+    return edges.map(edge => (reversed.has(edge) ? [edge[1], edge[0]] : edge));
+};
+
+// Column of each node: the length of the longest path to it from a source
+const assignColumns = (nodes, edges) => {
+    const column = new Map(nodes.map(id => [id, 0]));
+    const incoming = new Map(nodes.map(id => [id, 0]));
+    const outgoing = new Map(nodes.map(id => [id, []]));
+    edges.forEach(([from, to]) => {
+        outgoing.get(from).push(to);
+        incoming.set(to, incoming.get(to) + 1);
+    });
+    const queue = nodes.filter(id => incoming.get(id) === 0);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        outgoing.get(id).forEach(next => {
+            column.set(next, Math.max(column.get(next), column.get(id) + 1));
+            incoming.set(next, incoming.get(next) - 1);
+            if (incoming.get(next) === 0) queue.push(next);
+        });
+    }
+    return column;
+};
+
+// Wire crossings between two neighbouring columns
+const countCrossings = (links, upperIndex, lowerIndex) => {
+    let crossings = 0;
+    for (let i = 0; i < links.length; i++) {
+        for (let j = i + 1; j < links.length; j++) {
+            const [a, b] = links[i];
+            const [c, d] = links[j];
+            if ((upperIndex.get(a) - upperIndex.get(c)) * (lowerIndex.get(b) - lowerIndex.get(d)) < 0) crossings++;
+        }
+    }
+    return crossings;
+};
+
+// Reorders each column by the average position of its neighbours (the barycenter heuristic),
+// keeping whichever order had the fewest crossings
+const orderColumns = (columns, links) => {
+    const predecessors = new Map();
+    const successors = new Map();
+    columns.flat().forEach(id => {
+        predecessors.set(id, []);
+        successors.set(id, []);
+    });
+    links.forEach(([from, to]) => {
+        successors.get(from).push(to);
+        predecessors.get(to).push(from);
+    });
+    const indexOf = (order) => new Map(order.flatMap(column => column.map((id, index) => [id, index])));
+    const totalCrossings = (order) => {
+        const index = indexOf(order);
+        return order.slice(1).reduce((sum, column, i) => {
+            const members = new Set(column);
+            const between = links.filter(([from, to]) => members.has(to) && order[i].includes(from));
+            return sum + countCrossings(between, index, index);
+        }, 0);
+    };
+    const reorder = (column, neighbours, index) => {
+        const weight = new Map(column.map((id, position) => {
+            const positions = neighbours.get(id).map(other => index.get(other)).filter(value => value !== undefined);
+            return [id, positions.length > 0 ? positions.reduce((sum, value) => sum + value, 0) / positions.length : position];
+        }));
+        return column.slice().sort((a, b) => weight.get(a) - weight.get(b));
+    };
+
+    let order = columns.map(column => column.slice());
+    let best = order;
+    let bestCrossings = totalCrossings(order);
+    for (let sweep = 0; sweep < ARRANGE_SWEEPS && bestCrossings > 0; sweep++) {
+        const down = sweep % 2 === 0;
+        order = order.map(column => column.slice());
+        const indices = down ? order.map((_, i) => i).slice(1) : order.map((_, i) => i).reverse().slice(1);
+        indices.forEach(i => {
+            const neighbour = down ? order[i - 1] : order[i + 1];
+            const index = new Map(neighbour.map((id, position) => [id, position]));
+            order[i] = reorder(order[i], down ? predecessors : successors, index);
+        });
+        const crossings = totalCrossings(order);
+        if (crossings < bestCrossings) {
+            best = order;
+            bestCrossings = crossings;
+        }
+    }
+    return best;
+};
+
+// Returns { positions: { nodeId: { x, y } }, columns } with the top-left corner at (0, 0).
+// getSize(nodeId) gives each node's { width, height } on the canvas.
+const arrangeLayout = (engine, getSize = () => DEFAULT_NODE_SIZE) => {
+    const { nodes, edges } = buildArrangeGraph(engine);
+    const acyclic = breakCycles(nodes, edges);
+    const column = assignColumns(nodes, acyclic);
+
+    // Wires that skip columns are split up with placeholder nodes
+    const columns = [];
+    const place = (id, index) => {
+        while (columns.length <= index) columns.push([]);
+        columns[index].push(id);
+    };
+    nodes.forEach(id => place(id, column.get(id)));
+    const dummies = new Set();
+    const links = [];
+    acyclic.forEach(([from, to]) => {
+        let previous = from;
+        for (let index = column.get(from) + 1; index < column.get(to); index++) {
+            const dummy = `\u0000${dummies.size}`;
+            dummies.add(dummy);
+            place(dummy, index);
+            links.push([previous, dummy]);
+            previous = dummy;
+        }
+        links.push([previous, to]);
+    });
+
+    const order = orderColumns(columns, links);
+    const size = (id) => {
+        if (dummies.has(id)) return { width: 0, height: ARRANGE_DUMMY_HEIGHT };
+        const measured = getSize(id) || {};
+        return { width: measured.width || DEFAULT_NODE_SIZE.width, height: measured.height || DEFAULT_NODE_SIZE.height };
+    };
+    const heights = order.map(ids => ids.reduce((sum, id) => sum + size(id).height, 0) + ARRANGE_ROW_GAP * Math.max(0, ids.length - 1));
+    const tallest = Math.max(0, ...heights);
+
+    // Columns are stacked top to bottom and centered on the tallest one
+    const positions = {};
+    let x = 0;
+    order.forEach((ids, index) => {
+        let y = (tallest - heights[index]) / 2;
+        ids.forEach(id => {
+            if (!dummies.has(id)) positions[id] = { x, y };
+            y += size(id).height + ARRANGE_ROW_GAP;
+        });
+        x += Math.max(0, ...ids.map(id => size(id).width)) + ARRANGE_COLUMN_GAP;
+    });
+    return { positions, columns: order.map(ids => ids.filter(id => !dummies.has(id))) };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { arrangeLayout };
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+// --- Command-line runner for trigger layouts ---
+// Usage: node cli.js <layout.json> [CHANNEL[@T] ...] [--json] [--quiet]
+//        node cli.js <layout.json> --scenarios [--scenario <scenario.json> ...] [--races] [--json]
+//        node cli.js <layout.json> --memory [--json]
+//        node cli.js <layout.json> --analyze [--json]
+//        node cli.js <layout.json> --explore CH1,CH2 [--depth N] [--forbid RULE ...] [--json]
+//        node cli.js <layout.json> --check [--json]
+//
+// Loads a layout saved from the simulator, pulses each channel in order (each
+// one settles before the next) and prints the event log and final states.
+// With --scenarios it runs the scenarios saved in the layout (and any given
+// with --scenario) instead, exiting with status 1 if an assertion fails.
+// A pulse run stopped by loop detection exits with status 3. --memory prints
+// the estimated Gimkit memory use instead, exiting with status 4 if it is over budget.
+// --analyze prints the static analysis findings. --explore lists every combination of
+// device states the given input channels can reach, exiting with status 5 if one matches
+// a --forbid rule. --ordering MODE[:SEED] overrides the layout's same-tick ordering, and
+// --races runs the scenarios under every ordering, exiting with status 6 if a device's final
+// state depends on it, and lists the devices that end differently in Gimkit mode. Every layout is validated (and older formats migrated) before it is
+// loaded; problems are printed to stderr, and errors exit with status 1. --check only validates.
+const fs = require('fs');
+const { Engine, describeHalt, ORDERING_MODES, describeOrdering } = require('./engine.js');
+const { runScenario, detectRaces } = require('./scenario.js');
+const { estimateMemory } = require('./memory.js');
+const { analyzeLayout } = require('./analyze.js');
+const { parseStateRules, exploreStates } = require('./explore.js');
+const { readLayoutText, formatProblem } = require('./schema.js');
+
+const USAGE = [
+    'Usage: node cli.js <layout.json> [CHANNEL[@T] ...] [--json] [--quiet]',
+    '       node cli.js <layout.json> --scenarios [--scenario <scenario.json> ...] [--races] [--json]',
+    '       node cli.js <layout.json> --memory [--json]',
+    '       node cli.js <layout.json> --analyze [--json]',
+    '       node cli.js <layout.json> --explore CH1,CH2 [--depth N] [--forbid RULE ...] [--json]',
+    '       node cli.js <layout.json> --check [--json]',
+    '',
+    `Add --ordering MODE[:SEED] to any of these; modes: ${Object.keys(ORDERING_MODES).join(', ')}.`,
+].join('\n');
+
+const parseArgs = (argv) => {
+    const options = { layoutPath: null, pulses: [], scenarioPaths: [], runScenarios: false, memory: false, analyze: false, explore: null, depth: undefined, forbid: [], ordering: null, races: false, check: false, json: false, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') options.json = true;
+        else if (arg === '--quiet') options.quiet = true;
+        else if (arg === '--scenarios') options.runScenarios = true;
+        else if (arg === '--races') {
+            options.races = true;
+            options.runScenarios = true;
+        }
+        else if (arg === '--ordering') {
+            const [mode, seed] = (argv[i + 1] || '').split(':');
+            if (!ORDERING_MODES[mode]) throw new Error(`--ordering needs one of ${Object.keys(ORDERING_MODES).join(', ')}.`);
+            if (seed !== undefined && !Number.isInteger(Number(seed))) throw new Error(`Invalid seed in '${argv[i + 1]}'.`);
+            options.ordering = { mode, seed: seed === undefined ? undefined : Number(seed) };
+            i++;
+        }
+        else if (arg === '--memory') options.memory = true;
+        else if (arg === '--check') options.check = true;
+        else if (arg === '--analyze') options.analyze = true;
+        else if (arg === '--explore') {
+            if (!argv[i + 1]) throw new Error('--explore needs a comma-separated list of channels.');
+            options.explore = argv[++i].split(',').map(channel => channel.trim()).filter(channel => channel);
+        }
+        else if (arg === '--depth') {
+            const depth = Number(argv[i + 1]);
+            if (!Number.isInteger(depth) || depth < 1) throw new Error('--depth needs a whole number of at least 1.');
+            options.depth = depth;
+            i++;
+        }
+        else if (arg === '--forbid') {
+            if (!argv[i + 1]) throw new Error('--forbid needs a rule.');
+            options.forbid.push(argv[++i]);
+        }
+        else if (arg === '--scenario') {
+            if (!argv[i + 1]) throw new Error('--scenario needs a file path.');
+            options.scenarioPaths.push(argv[++i]);
+            options.runScenarios = true;
+        }
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (!options.layoutPath) options.layoutPath = arg;
+        else {
+            const [channel, time] = arg.split('@');
+            if (time !== undefined && Number.isNaN(Number(time))) {
+                throw new Error(`Invalid pulse time in '${arg}'.`);
+            }
+            options.pulses.push(time === undefined ? channel : { channel, time: Number(time) });
+        }
+    }
+    return options;
+};
+
+// Prints a pass/fail report and returns the exit status
+const reportScenarios = (engine, scenarios, json) => {
+    const reports = scenarios.map(scenario => {
+        try {
+            return runScenario(engine.clone(), scenario);
+        } catch (error) {
+            return { name: scenario.name || 'Unnamed scenario', passed: false, error: error.message, results: [] };
+        }
+    });
+    if (json) {
+        console.log(JSON.stringify(reports.map(({ log, ...report }) => report), null, 2));
+    } else {
+        if (reports.length === 0) console.log('No scenarios to run.');
+        reports.forEach(report => {
+            console.log(`${report.passed ? 'PASS' : 'FAIL'} ${report.name}`);
+            if (report.error) console.log(`  ${report.error}`);
+            (report.halts || []).forEach(halt => console.log(`  ${halt.expected ? '↻' : '⛔'} ${describeHalt(halt)}`));
+            report.results.forEach(result => {
+                console.log(`  ${result.passed ? '✓' : '✗'} ${result.description}${result.passed ? '' : ` (was ${result.actual})`}`);
+            });
+        });
+    }
+    return reports.every(report => report.passed) ? 0 : 1;
+};
+
+// Prints the devices whose final state depends on the ordering, and returns the exit status
+const reportRaces = (engine, scenarios, json) => {
+    const reports = scenarios.map(scenario => {
+        try {
+            return detectRaces(engine, scenario);
+        } catch (error) {
+            return { name: scenario.name || 'Unnamed scenario', error: error.message, runs: [], races: [] };
+        }
+    });
+    if (json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        if (reports.length === 0) console.log('No scenarios to run.');
+        reports.forEach(report => {
+            console.log(`${report.error ? 'ERROR' : report.races.length > 0 ? 'RACE' : 'OK'} ${report.name}`);
+            if (report.error) console.log(`  ${report.error}`);
+            report.races.forEach(race => {
+                console.log(`  ${race.trigger}:`);
+                race.outcomes.forEach(outcome => console.log(`    ${outcome.state} under ${outcome.orderings.map(describeOrdering).join(', ')}`));
+            });
+            if (!report.gimkit || report.gimkit.differences.length === 0) return;
+            console.log('  Gimkit mode (approximate) ends differently from FIFO:');
+            report.gimkit.differences.forEach(difference => console.log(`    ${difference.trigger}: ${difference.fifo} under FIFO, ${difference.gimkit} under Gimkit`));
+        });
+    }
+    if (reports.some(report => report.error)) return 1;
+    return reports.some(report => report.races.length > 0) ? 6 : 0;
+};
+
+// Prints the memory estimate and returns the exit status
+const describeProblem = (problem) => `${problem.severity === 'error' ? 'ERROR' : 'WARN'} ${formatProblem(problem)}`;
+
+const reportCheck = (report, json) => {
+    if (json) {
+        console.log(JSON.stringify({ ok: report.ok, version: report.version, problems: report.problems }, null, 2));
+    } else {
+        if (report.problems.length === 0) console.log(`Layout is valid (format ${report.version}).`);
+        report.problems.forEach(problem => console.log(describeProblem(problem)));
+    }
+    return report.ok ? 0 : 1;
+};
+
+const reportMemory = (engine, json) => {
+    const estimate = estimateMemory(engine);
+    if (json) {
+        console.log(JSON.stringify(estimate, null, 2));
+    } else {
+        const { devices, wires, channels } = estimate.totals;
+        console.log(`Memory: ${estimate.total} of ${estimate.budget} (devices ${devices}, wires ${wires}, channels ${channels})`);
+        if (estimate.over) console.log(`Over the map budget by ${estimate.total - estimate.budget}.`);
+        console.log('Most expensive:');
+        estimate.items.slice(0, 10).forEach(item => console.log(`  ${item.cost}  ${item.id} (${item.detail})`));
+    }
+    return estimate.over ? 4 : 0;
+};
+
+const reportAnalysis = (engine, json) => {
+    const findings = analyzeLayout(engine);
+    if (json) {
+        console.log(JSON.stringify(findings, null, 2));
+        return 0;
+    }
+    if (findings.length === 0) console.log('No problems found.');
+    findings.forEach(finding => console.log(`${finding.severity === 'warning' ? 'WARN' : 'INFO'} ${finding.message}`));
+    return 0;
+};
+
+// Prints the reachable states and returns the exit status
+const reportExploration = (engine, options) => {
+    let result;
+    try {
+        const rules = parseStateRules(engine, options.forbid.join('\n'));
+        result = exploreStates(engine, { channels: options.explore, depth: options.depth, rules });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    const forbidden = result.states.filter(state => state.violations.length > 0);
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        const coverage = result.complete ? 'every reachable state' : result.truncated ? 'stopped at the state limit' : 'longer sequences may reach more';
+        console.log(`${result.states.length} state combination${result.states.length === 1 ? '' : 's'} reached (${coverage}).`);
+        result.states.forEach(state => {
+            const flag = state.violations.length > 0 ? 'FORBIDDEN' : state.halt ? 'HALTED' : 'OK';
+            console.log(`${flag} [${state.active.join(', ') || 'none active'}] via ${state.sequence.join(' ') || '(start)'}`);
+            state.violations.forEach(rule => console.log(`  matches ${rule}`));
+            if (state.halt) console.log(`  ${state.halt.message}`);
+        });
+    }
+    return forbidden.length > 0 ? 5 : 0;
+};
+
+const main = (argv) => {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.help || !options.layoutPath) {
+        console.error(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    let report;
+    try {
+        report = readLayoutText(fs.readFileSync(options.layoutPath, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to load layout '${options.layoutPath}': ${error.message}`);
+        return 1;
+    }
+    if (options.check) return reportCheck(report, options.json);
+    report.problems.forEach(problem => console.error(describeProblem(problem)));
+    if (!report.ok) {
+        console.error(`Failed to load layout '${options.layoutPath}'.`);
+        return 1;
+    }
+
+    const engine = new Engine();
+    try {
+        engine.loadLayoutData(report.layout);
+    } catch (error) {
+        console.error(`Failed to load layout '${options.layoutPath}': ${error.message}`);
+        return 1;
+    }
+
+    if (options.ordering) engine.setOrdering(options.ordering.mode, options.ordering.seed);
+
+    if (options.memory) return reportMemory(engine, options.json);
+    if (options.analyze) return reportAnalysis(engine, options.json);
+    if (options.explore) return reportExploration(engine, options);
+
+    if (options.runScenarios) {
+        let scenarios;
+        try {
+            scenarios = engine.scenarios.concat(options.scenarioPaths.map(path => JSON.parse(fs.readFileSync(path, 'utf8'))));
+        } catch (error) {
+            console.error(`Failed to load scenario: ${error.message}`);
+            return 1;
+        }
+        return options.races ? reportRaces(engine, scenarios, options.json) : reportScenarios(engine, scenarios, options.json);
+    }
+
+    const result = engine.runSequence(options.pulses);
+    // Runs stopped by loop detection exit with status 3 unless every loop was expected
+    const status = result.halts.every(halt => halt.expected) ? 0 : 3;
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return status;
+    }
+    if (!options.quiet) {
+        result.log.forEach(entry => console.log(entry.message));
+        console.log('');
+    }
+    console.log(`Final states at T=${result.time}:`);
+    Object.entries(result.states).forEach(([id, state]) => {
+        console.log(`  ${id}: ${state ? 'ACTIVE' : 'INACTIVE'}`);
+    });
+    result.halts.forEach(halt => console.log(describeHalt(halt)));
+    return status;
+};
+
+process.exitCode = main(process.argv.slice(2));
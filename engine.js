@@ -0,0 +1,1363 @@
+// --- Headless trigger engine ---
+// Everything in this file is DOM-free so the same simulation can run in the
+// browser (loaded before simulator.js) and under Node (see cli.js).
+
+// --- Helper function to parse channel strings ---
+const parseChannels = (channelString) => {
+    if (!channelString || typeof channelString !== 'string') return [];
+    return channelString.split(',').map(c => c.trim()).filter(c => c);
+};
+
+// Version of the layout format serializeLayout() writes; schema.js migrates older files up to it
+const LAYOUT_VERSION = 2;
+
+// Default runaway limits for a single run (from a pulse until the queue is empty)
+const DEFAULT_LIMITS = { maxEvents: 10000, maxTime: 10000 };
+// Processed events kept per run for describing a runaway loop
+const RUNAWAY_WINDOW = 200;
+
+// Both 32-bit halves of the cyrb53 string hash
+const hashPair = (str) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return [h1 >>> 0, h2 >>> 0];
+};
+
+// 53-bit string hash (cyrb53), so global states can be remembered without keeping every key
+const hashString = (str) => {
+    const [h1, h2] = hashPair(str);
+    return 4294967296 * (2097151 & h2) + h1;
+};
+
+// --- Event queue ---
+// Pending events in a binary heap, ordered by time, then by the rank the ordering mode gave
+// each event when it was queued, then by when it was queued. For loop detection it also keeps
+// a hash of the events due at each time, so the whole queue never has to be sorted to compare it.
+const compareEvents = (a, b) => a.time - b.time || a.rank - b.rank || a.sequence - b.sequence;
+
+class EventQueue {
+    constructor() {
+        this.heap = [];
+        this.buckets = new Map(); // Time → { hash: [h1, h2], count }, summed over the events due then
+    }
+
+    // Adds (sign 1) or takes away (sign -1) an event's hash in its time's bucket
+    count(event, sign) {
+        if (!event.hash) event.hash = hashPair(`${event.channel}\n${event.sourceId}`);
+        const bucket = this.buckets.get(event.time) || { hash: [0, 0], count: 0 };
+        bucket.hash = [(bucket.hash[0] + sign * event.hash[0]) >>> 0, (bucket.hash[1] + sign * event.hash[1]) >>> 0];
+        bucket.count += sign;
+        if (bucket.count === 0) this.buckets.delete(event.time);
+        else this.buckets.set(event.time, bucket);
+    }
+
+    get length() {
+        return this.heap.length;
+    }
+
+    push(event) {
+        const heap = this.heap;
+        this.count(event, 1);
+        heap.push(event);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compareEvents(heap[i], heap[parent]) >= 0) break;
+            [heap[i], heap[parent]] = [heap[parent], heap[i]];
+            i = parent;
+        }
+    }
+
+    // The next event, without removing it
+    peek() {
+        return this.heap[0];
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        if (top) this.count(top, -1);
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    siftDown(i) {
+        const heap = this.heap;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && compareEvents(heap[left], heap[smallest]) < 0) smallest = left;
+            if (right < heap.length && compareEvents(heap[right], heap[smallest]) < 0) smallest = right;
+            if (smallest === i) return;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+
+    rerank(rankOf) {
+        this.heap.forEach(event => { event.rank = rankOf(event); });
+        this.heapify();
+    }
+
+    // Restores the heap order after events were removed or re-ranked
+    heapify() {
+        for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) this.siftDown(i);
+    }
+
+    removeWhere(predicate) {
+        const before = this.heap.length;
+        this.heap = this.heap.filter(event => {
+            const removed = predicate(event);
+            if (removed) this.count(event, -1);
+            return !removed;
+        });
+        if (this.heap.length !== before) this.heapify();
+    }
+
+    clear() {
+        this.heap = [];
+        this.buckets = new Map();
+    }
+
+    // What is pending, relative to now: equal for two queues with the same events due at the same offsets
+    getKey(now) {
+        return [...this.buckets.keys()].sort((a, b) => a - b)
+            .map(time => `${time - now}|${this.buckets.get(time).hash.join(',')}`)
+            .join(';');
+    }
+
+    // Every pending event in the order it will be processed
+    toArray() {
+        return this.heap.slice().sort(compareEvents);
+    }
+}
+
+// --- Same-tick ordering ---
+// Several events can be due at the same time, and each one reaches every device listening
+// on its channel. The ordering mode decides what goes first:
+//   insertion: events from devices placed earlier first (external pulses before any device)
+//   fifo:      events in the order they were scheduled (the default)
+//   random:    a shuffled order from a seed, so a run can be repeated exactly
+//   gimkit:    FIFO, and a trigger checks Trigger On against the state it had before the
+//              pulse, then applies Activate On and Deactivate On. This approximates how
+//              Gimkit seems to behave; it has not been checked against the game.
+// Devices receive an event in the order they were placed, or shuffled in random mode.
+const ORDERING_MODES = {
+    insertion: 'Insertion order',
+    fifo: 'FIFO by schedule time',
+    random: 'Random (seeded)',
+    gimkit: 'Gimkit (approximate)',
+};
+const DEFAULT_ORDERING = { mode: 'fifo', seed: 1 };
+
+const describeOrdering = ({ mode, seed }) => (mode === 'random' ? `Random (seed ${seed})` : ORDERING_MODES[mode]);
+
+// Seeded PRNG (mulberry32) returning numbers in [0, 1)
+const createRandom = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// One-line summary of a runaway report from Engine.haltRun()
+const describeHalt = (halt) => {
+    const period = halt.period ? `, period ${halt.period.events} events / T+${halt.period.time}` : '';
+    return `${halt.expected ? 'Capped expected loop' : 'Runaway'}: ${halt.message} at T=${halt.time} (channels: ${halt.channels.join(', ') || 'none'}; triggers: ${halt.triggers.join(', ') || 'none'}${period})`;
+};
+
+// Parses a config value according to a device field definition (see DeviceCore)
+const parseField = (field, value) => {
+    if (field.type === 'channels') return Array.isArray(value) ? value.slice() : parseChannels(value);
+    if (field.type === 'channel') return (typeof value === 'string' ? value.trim() : value) || null;
+    const number = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(number) ? field.defaultValue : number;
+};
+
+// --- Devices ---
+// Every placeable device extends DeviceCore and describes itself with static schemas:
+//   fields:  editable properties ({ property, label, short, type: 'number' | 'channels' | 'channel', defaultValue })
+//   inputs:  channel-list properties it listens on, in the order handlePulse() applies them,
+//            with the wire category drawn for them
+//   outputs: channel properties it transmits on
+class DeviceCore {
+    constructor(config) {
+        this.id = config.id;
+        this.type = this.constructor.type;
+        this.instance = config.instance || null; // ID of the component instance that placed this device
+        this.constructor.fields.forEach(field => {
+            this[field.property] = parseField(field, config[field.property]);
+        });
+        this.initialState = false;
+        this.state = false;
+
+        this.x = config.x;
+        this.y = config.y;
+    }
+
+    getInputs() {
+        return this.constructor.inputs.map(input => ({ ...input, channels: this[input.property] }));
+    }
+
+    getOutputs() {
+        return this.constructor.outputs.map(property => this[property]).filter(channel => channel);
+    }
+
+    listensTo(channel) {
+        return this.constructor.inputs.some(input => this[input.property].includes(channel));
+    }
+
+    // Returns true if the channel did anything to this device
+    handlePulse() {
+        return false;
+    }
+
+    // Whether a manual trigger is allowed right now
+    canFire() {
+        return true;
+    }
+
+    // Sends this device's output as if it had been triggered. channel is null for manual triggers.
+    fire() {}
+
+    // Called when an event this device scheduled is processed, before it is delivered
+    sent() {}
+
+    // Schedules a pulse from this device, caused by whatever it last logged
+    emit(engine, channel, delay = 0) {
+        if (!channel) return;
+        const fireTime = engine.time + delay;
+        const entry = engine.logEvent(`  - Scheduling pulse on '${channel}' at T=${fireTime}`, '', {
+            action: 'schedule', channel, sourceId: this.id, parent: engine.lastEntryFor[this.id] ?? null,
+        });
+        engine.enqueue({ time: fireTime, channel, sourceId: this.id, cause: entry.id });
+    }
+
+    setState(state, engine) {
+        if (this.state === state) return;
+        this.state = state;
+        engine.recordState(this);
+    }
+
+    // Everything about this device that affects future behavior, for loop detection
+    getStateKey() {
+        return this.state ? '1' : '0';
+    }
+
+    // Status line shown on the canvas, or null for devices without one
+    getStatusText() {
+        return null;
+    }
+
+    // Rendering hook; the browser views override this
+    updateUI() {}
+
+    reset() {
+        this.state = this.initialState;
+        this.updateUI();
+    }
+
+    // For saving the layout
+    serialize() {
+        const data = { id: this.id, type: this.type };
+        this.constructor.fields.forEach(field => {
+            const value = this[field.property];
+            data[field.property] = field.type === 'channels' ? value.join(', ') : value;
+        });
+        return { ...data, ...this.serializeState(), x: this.x, y: this.y };
+    }
+
+    // Saved properties beyond the fields
+    serializeState() {
+        return {};
+    }
+}
+
+class TriggerCore extends DeviceCore {
+    static type = 'trigger';
+    static label = 'Trigger';
+    static toggleable = true;
+    static fields = [
+        { property: 'delay', label: 'Delay', short: 'Delay', type: 'number', defaultValue: 0 },
+        { property: 'activateOn', label: 'Activate On', short: 'Act on', type: 'channels' },
+        { property: 'deactivateOn', label: 'Deactivate On', short: 'Deact on', type: 'channels' },
+        { property: 'triggerOn', label: 'Trigger On', short: 'Trig on', type: 'channels' },
+        { property: 'whenTriggered', label: 'When Triggered', short: 'Fires', type: 'channel' },
+    ];
+    static inputs = [
+        { property: 'activateOn', wire: 'activate' },
+        { property: 'deactivateOn', wire: 'deactivate' },
+        { property: 'triggerOn', wire: 'trigger' },
+    ];
+    static outputs = ['whenTriggered'];
+
+    constructor(config) {
+        super(config);
+        this.initialState = config.initialState || false;
+        this.state = this.initialState;
+    }
+
+    handlePulse(channel, engine) {
+        const currentTime = engine.time;
+        const triggerFirst = engine.ordering.mode === 'gimkit';
+        let handled = triggerFirst && this.handleTrigger(channel, engine);
+        if (channel && this.activateOn.includes(channel)) {
+            this.state = true;
+            engine.logEvent(`T=${currentTime}: '${this.id}' ACTIVATED by channel '${channel}'.`, '', { action: 'activate', target: this.id, channel });
+            engine.recordState(this);
+            this.updateUI();
+            handled = true;
+        }
+        if (channel && this.deactivateOn.includes(channel)) {
+            this.state = false;
+            engine.logEvent(`T=${currentTime}: '${this.id}' DEACTIVATED by channel '${channel}'.`, '', { action: 'deactivate', target: this.id, channel });
+            engine.recordState(this);
+            this.updateUI();
+            handled = true;
+        }
+        if (!triggerFirst && this.handleTrigger(channel, engine)) handled = true;
+        return handled;
+    }
+
+    // Fires if the channel is a Trigger On channel and this trigger is active
+    handleTrigger(channel, engine) {
+        if (!channel || !this.triggerOn.includes(channel) || !this.state) return false;
+        engine.logEvent(`T=${engine.time}: '${this.id}' TRIGGERED by channel '${channel}'.`, '', { action: 'trigger', target: this.id, channel });
+        this.fire(engine, channel);
+        return true;
+    }
+
+    canFire() {
+        return this.state;
+    }
+
+    // Schedules the whenTriggered pulse, if there is one
+    fire(engine, channel = null) {
+        engine.recordTriggered(this, channel);
+        this.emit(engine, this.whenTriggered, this.delay);
+    }
+
+    getStatusText(state = this.state) {
+        return `State: ${state ? 'ACTIVE' : 'INACTIVE'}`;
+    }
+
+    serializeState() {
+        return { initialState: this.initialState };
+    }
+}
+
+// Counts pulses and transmits when the value reaches the target. Active while at the target.
+class CounterCore extends DeviceCore {
+    static type = 'counter';
+    static label = 'Counter';
+    static fields = [
+        { property: 'startValue', label: 'Starting Value', short: 'Start', type: 'number', defaultValue: 0 },
+        { property: 'target', label: 'Target Value', short: 'Target', type: 'number', defaultValue: 5 },
+        { property: 'incrementOn', label: 'Increment On', short: 'Inc on', type: 'channels' },
+        { property: 'decrementOn', label: 'Decrement On', short: 'Dec on', type: 'channels' },
+        { property: 'resetOn', label: 'Reset On', short: 'Reset on', type: 'channels' },
+        { property: 'whenTargetReached', label: 'When Target Reached', short: 'Fires', type: 'channel' },
+    ];
+    static inputs = [
+        { property: 'incrementOn', wire: 'activate' },
+        { property: 'decrementOn', wire: 'deactivate' },
+        { property: 'resetOn', wire: 'control' },
+    ];
+    static outputs = ['whenTargetReached'];
+
+    constructor(config) {
+        super(config);
+        this.value = this.startValue;
+        this.initialState = this.value === this.target;
+        this.state = this.initialState;
+    }
+
+    handlePulse(channel, engine) {
+        let handled = false;
+        const change = (value, verb, action) => {
+            this.value = value;
+            engine.logEvent(`T=${engine.time}: '${this.id}' ${verb} to ${this.value} by channel '${channel}'.`, '', { action, target: this.id, channel });
+            this.setState(this.value === this.target, engine);
+            this.updateUI();
+            handled = true;
+        };
+        if (channel && this.incrementOn.includes(channel)) change(this.value + 1, 'INCREMENTED', 'increment');
+        if (channel && this.decrementOn.includes(channel)) change(this.value - 1, 'DECREMENTED', 'decrement');
+        if (handled && this.state) {
+            engine.logEvent(`T=${engine.time}: '${this.id}' reached its target of ${this.target}.`, '', { action: 'target', target: this.id, channel });
+            this.fire(engine, channel);
+        }
+        if (channel && this.resetOn.includes(channel)) change(this.startValue, 'RESET', 'reset');
+        return handled;
+    }
+
+    fire(engine, channel = null) {
+        engine.recordTriggered(this, channel);
+        this.emit(engine, this.whenTargetReached);
+    }
+
+    getStateKey() {
+        return String(this.value);
+    }
+
+    getStatusText() {
+        return `Value: ${this.value} / ${this.target}`;
+    }
+
+    reset() {
+        this.value = this.startValue;
+        super.reset();
+    }
+}
+
+// Passes a pulse straight on to another channel
+class RelayCore extends DeviceCore {
+    static type = 'relay';
+    static label = 'Relay';
+    static fields = [
+        { property: 'relayOn', label: 'Relay On', short: 'Relay on', type: 'channels' },
+        { property: 'whenRelayed', label: 'When Relayed', short: 'Fires', type: 'channel' },
+    ];
+    static inputs = [{ property: 'relayOn', wire: 'trigger' }];
+    static outputs = ['whenRelayed'];
+
+    handlePulse(channel, engine) {
+        if (!channel || !this.relayOn.includes(channel)) return false;
+        engine.logEvent(`T=${engine.time}: '${this.id}' RELAYED channel '${channel}'.`, '', { action: 'relay', target: this.id, channel });
+        this.fire(engine, channel);
+        return true;
+    }
+
+    fire(engine, channel = null) {
+        engine.recordTriggered(this, channel);
+        this.emit(engine, this.whenRelayed);
+    }
+}
+
+// Once started, transmits `count` times, every `interval`. Active while running.
+// All repetitions are queued up front so they show in the pending event queue.
+class RepeaterCore extends DeviceCore {
+    static type = 'repeater';
+    static label = 'Repeater';
+    static fields = [
+        { property: 'interval', label: 'Interval', short: 'Every', type: 'number', defaultValue: 1 },
+        { property: 'count', label: 'Repetitions', short: 'Times', type: 'number', defaultValue: 3 },
+        { property: 'startOn', label: 'Start On', short: 'Start on', type: 'channels' },
+        { property: 'stopOn', label: 'Stop On', short: 'Stop on', type: 'channels' },
+        { property: 'whenRepeating', label: 'When Repeating', short: 'Fires', type: 'channel' },
+    ];
+    static inputs = [
+        { property: 'stopOn', wire: 'deactivate' },
+        { property: 'startOn', wire: 'activate' },
+    ];
+    static outputs = ['whenRepeating'];
+
+    constructor(config) {
+        super(config);
+        this.endTime = null;
+    }
+
+    // Finishes once the last repetition has gone out
+    sent(event, engine) {
+        if (this.state && engine.time >= this.endTime) {
+            this.setState(false, engine);
+            this.updateUI();
+        }
+    }
+
+    handlePulse(channel, engine) {
+        let handled = false;
+        if (channel && this.stopOn.includes(channel)) {
+            engine.logEvent(`T=${engine.time}: '${this.id}' STOPPED by channel '${channel}'.`, '', { action: 'stop', target: this.id, channel });
+            this.stop(engine);
+            handled = true;
+        }
+        if (channel && this.startOn.includes(channel)) {
+            engine.logEvent(`T=${engine.time}: '${this.id}' STARTED by channel '${channel}'.`, '', { action: 'start', target: this.id, channel });
+            this.fire(engine, channel);
+            handled = true;
+        }
+        return handled;
+    }
+
+    fire(engine, channel = null) {
+        this.stop(engine);
+        engine.recordTriggered(this, channel);
+        const repetitions = Math.max(0, Math.floor(this.count));
+        if (!this.whenRepeating || repetitions === 0) return;
+        for (let i = 1; i <= repetitions; i++) {
+            this.emit(engine, this.whenRepeating, i * this.interval);
+        }
+        this.endTime = engine.time + repetitions * this.interval;
+        this.setState(true, engine);
+        this.updateUI();
+    }
+
+    // Cancels the repetitions that have not gone out yet
+    stop(engine) {
+        engine.eventQueue.removeWhere(event => event.sourceId === this.id);
+        this.endTime = null;
+        this.setState(false, engine);
+        this.updateUI();
+    }
+
+    getStatusText(state = this.state) {
+        return state ? 'Running' : 'Idle';
+    }
+
+    reset() {
+        this.endTime = null;
+        super.reset();
+    }
+}
+
+// Re-transmits a pulse after a delay
+class WireRepeaterCore extends DeviceCore {
+    static type = 'wire-repeater';
+    static label = 'Wire Repeater';
+    static fields = [
+        { property: 'delay', label: 'Delay', short: 'Delay', type: 'number', defaultValue: 0 },
+        { property: 'repeatOn', label: 'Repeat On', short: 'Repeat on', type: 'channels' },
+        { property: 'whenRepeated', label: 'When Repeated', short: 'Fires', type: 'channel' },
+    ];
+    static inputs = [{ property: 'repeatOn', wire: 'trigger' }];
+    static outputs = ['whenRepeated'];
+
+    handlePulse(channel, engine) {
+        if (!channel || !this.repeatOn.includes(channel)) return false;
+        engine.logEvent(`T=${engine.time}: '${this.id}' REPEATED channel '${channel}'.`, '', { action: 'repeat', target: this.id, channel });
+        this.fire(engine, channel);
+        return true;
+    }
+
+    fire(engine, channel = null) {
+        engine.recordTriggered(this, channel);
+        this.emit(engine, this.whenRepeated, this.delay);
+    }
+}
+
+// Device classes by the "type" field of a config; configs without one are triggers
+const DEVICE_TYPES = {
+    trigger: TriggerCore,
+    counter: CounterCore,
+    relay: RelayCore,
+    repeater: RepeaterCore,
+    'wire-repeater': WireRepeaterCore,
+};
+
+// Log entry actions, with the labels the log filters show
+const LOG_ACTIONS = {
+    inject: 'External pulse',
+    manual: 'Manual trigger',
+    process: 'Pulse processed',
+    schedule: 'Pulse scheduled',
+    unhandled: 'Not handled',
+    activate: 'Activated',
+    deactivate: 'Deactivated',
+    trigger: 'Triggered',
+    increment: 'Incremented',
+    decrement: 'Decremented',
+    reset: 'Counter reset',
+    target: 'Target reached',
+    relay: 'Relayed',
+    start: 'Started',
+    stop: 'Stopped',
+    repeat: 'Repeated',
+    loop: 'Expected loop',
+    halt: 'Run stopped',
+    create: 'Created',
+    end: 'Run ended',
+    info: 'Other',
+};
+
+// --- Components ---
+// A component is a reusable group of devices with named input and output channels (ports):
+//   { name, inputs: ['S', 'R'], outputs: ['Q_SET'], triggers: [device configs, positioned relative to the group] }
+// An instance places a copy of one: { id, component, bindings: { S: 'SET_A' }, x, y, expanded }.
+// Its devices get IDs like 'L1/T_MEM'. Port channels use their binding (by default 'L1.S'),
+// and every other channel is namespaced per instance ('L1/INTERNAL').
+const INSTANCE_SEPARATOR = '/';
+const INSTANCE_HEADER_HEIGHT = 40; // Room above an expanded instance's devices for its header
+
+const getPortChannel = (instance, port) => (instance.bindings && instance.bindings[port]) || `${instance.id}.${port}`;
+
+const namespaceChannel = (component, instance, channel) => (
+    component.inputs.includes(channel) || component.outputs.includes(channel)
+        ? getPortChannel(instance, channel)
+        : `${instance.id}${INSTANCE_SEPARATOR}${channel}`
+);
+
+// Returns a list of problems; an empty list means the component can be used
+const validateComponent = (component) => {
+    const errors = [];
+    if (!component || typeof component !== 'object' || Array.isArray(component)) return ['Component must be an object.'];
+    if (!component.name || typeof component.name !== 'string') errors.push('Component needs a "name".');
+    ['inputs', 'outputs'].forEach(key => {
+        if (!Array.isArray(component[key])) errors.push(`"${key}" must be an array of channel names.`);
+    });
+    if (!Array.isArray(component.triggers) || component.triggers.length === 0) {
+        errors.push('Component needs at least one device in "triggers".');
+    } else {
+        component.triggers.forEach((config, i) => {
+            if (!config || !config.id) errors.push(`triggers[${i}] needs an "id".`);
+            else if (String(config.id).includes(INSTANCE_SEPARATOR)) errors.push(`triggers[${i}].id cannot contain '${INSTANCE_SEPARATOR}'.`);
+        });
+    }
+    return errors;
+};
+
+class Engine {
+    constructor() {
+        this.triggers = {};
+        this.listeners = new Map(); // Devices by the channels they listen on
+        this.eventQueue = new EventQueue();
+        this.time = 0;
+        this.clearLog();
+        this.scenarios = [];
+        this.limits = { ...DEFAULT_LIMITS };
+        this.expectedLoops = []; // Channel lists of loops that may oscillate until capped
+        this.halts = []; // Runaway reports since the last reset
+        this.memory = { budget: null, costs: {} }; // Overrides of the defaults in memory.js
+        this.components = {}; // Component definitions by name
+        this.instances = {}; // Placed components by instance ID
+        this.inputs = []; // Input panel buttons, as { name, channel, key }
+        this.meta = { name: '', description: '' }; // Saved with the layout
+        this.placements = 0; // Devices placed so far; each device's placement number orders delivery
+        this.queued = 0; // Events queued so far; each event's sequence number orders FIFO
+        this.setOrdering(DEFAULT_ORDERING.mode, DEFAULT_ORDERING.seed);
+        this.resetTrace();
+        this.resetRunaway();
+    }
+
+    // Device class for a type name; the browser Simulator returns DOM-backed views
+    getDeviceClass(type) {
+        return DEVICE_TYPES[type];
+    }
+
+    createTrigger(config) {
+        const type = config.type || 'trigger';
+        const DeviceClass = this.getDeviceClass(type);
+        if (!DeviceClass) throw new Error(`Unknown device type '${type}' for '${config.id}'.`);
+        return new DeviceClass(config);
+    }
+
+    addTrigger(config) {
+        if (!config.id || this.triggers[config.id] || this.instances[config.id] || (!config.instance && config.id.includes(INSTANCE_SEPARATOR))) {
+            throw new Error(`Invalid or duplicate trigger ID '${config.id || ''}'.`);
+        }
+        const trigger = this.createTrigger(config);
+        trigger.placement = this.placements++;
+        this.triggers[config.id] = trigger;
+        this.indexDevice(trigger);
+        this.trace.initialStates[trigger.id] = trigger.state;
+        this.logEvent(`Trigger '${config.id}' created.`, '', { action: 'create', target: config.id });
+        return trigger;
+    }
+
+    removeTrigger(id) {
+        const device = this.triggers[id];
+        if (!device) return;
+        this.unindexDevice(device);
+        delete this.triggers[id];
+    }
+
+    // Sets a field from a config value; edits must go through here to keep the listener index current
+    setDeviceField(device, property, value) {
+        const field = device.constructor.fields.find(candidate => candidate.property === property);
+        if (!field) return false;
+        this.unindexDevice(device);
+        device[property] = parseField(field, value);
+        this.indexDevice(device);
+        return true;
+    }
+
+    // --- Listener index ---
+    indexDevice(device) {
+        device.getInputs().forEach(input => input.channels.forEach(channel => {
+            if (!this.listeners.has(channel)) this.listeners.set(channel, new Set());
+            this.listeners.get(channel).add(device);
+        }));
+    }
+
+    unindexDevice(device) {
+        device.getInputs().forEach(input => input.channels.forEach(channel => {
+            const devices = this.listeners.get(channel);
+            if (!devices) return;
+            devices.delete(device);
+            if (devices.size === 0) this.listeners.delete(channel);
+        }));
+    }
+
+    // Devices listening on a channel, in the order they were placed
+    getListeners(channel) {
+        const devices = this.listeners.get(channel);
+        return devices ? [...devices].sort((a, b) => a.placement - b.placement) : [];
+    }
+
+    // Accepts what serializeLayout() writes: { version, meta, triggers, scenarios, components, instances,
+    // inputs, settings }, or a bare array of trigger configs. Files from users should go through
+    // checkLayout() in schema.js first, which migrates and validates them.
+    loadLayoutData(layoutData) {
+        const triggers = Array.isArray(layoutData) ? layoutData : layoutData && layoutData.triggers;
+        if (!Array.isArray(triggers)) throw new Error('Invalid format: a layout must be an array of trigger configs or an object with a "triggers" array.');
+        const scenarios = Array.isArray(layoutData.scenarios) ? layoutData.scenarios : [];
+        const settings = (!Array.isArray(layoutData) && layoutData.settings) || {};
+        this.clear();
+        triggers.forEach(config => this.addTrigger(config));
+        (layoutData.components || []).forEach(component => this.defineComponent(component));
+        (layoutData.instances || []).forEach(instance => this.addInstance(instance));
+        this.scenarios = scenarios;
+        this.inputs = (Array.isArray(layoutData.inputs) ? layoutData.inputs : [])
+            .filter(input => input && input.name && input.channel)
+            .map(({ name, channel, key }) => ({ name, channel, key: key || null }));
+        this.limits = {
+            maxEvents: settings.maxEvents || DEFAULT_LIMITS.maxEvents,
+            maxTime: settings.maxTime || DEFAULT_LIMITS.maxTime,
+        };
+        this.expectedLoops = Array.isArray(settings.expectedLoops) ? settings.expectedLoops : [];
+        const ordering = settings.ordering || {};
+        this.setOrdering(ORDERING_MODES[ordering.mode] ? ordering.mode : DEFAULT_ORDERING.mode, ordering.seed);
+        const memory = settings.memory || {};
+        this.memory = { budget: memory.budget || null, costs: { ...memory.costs } };
+        const meta = (!Array.isArray(layoutData) && layoutData.meta) || {};
+        this.meta = { name: meta.name || '', description: meta.description || '' };
+    }
+
+    // Adds a layout to the current one instead of replacing it. Devices and instances whose IDs are
+    // taken get unused ones (see uniqueDeviceId), as do clashing components and scenarios, and
+    // everything is moved by (dx, dy). Channels are kept, so the import can connect to what is
+    // already here. The current settings stay. Returns { devices, instances, scenarios, renamed }
+    // where renamed lists { kind, from, to }.
+    mergeLayoutData(layoutData, { dx = 0, dy = 0 } = {}) {
+        const triggers = Array.isArray(layoutData) ? layoutData : layoutData.triggers || [];
+        const renamed = [];
+        const uniqueName = (name, isTaken) => {
+            if (!isTaken(name)) return name;
+            let n = 2;
+            while (isTaken(`${name}_${n}`)) n++;
+            return `${name}_${n}`;
+        };
+
+        const componentNames = {};
+        (layoutData.components || []).forEach(component => {
+            const existing = this.components[component.name];
+            if (existing && JSON.stringify(existing) === JSON.stringify(component)) return;
+            const name = uniqueName(component.name, candidate => this.components[candidate]);
+            if (name !== component.name) {
+                componentNames[component.name] = name;
+                renamed.push({ kind: 'component', from: component.name, to: name });
+            }
+            this.defineComponent({ ...component, name });
+        });
+
+        const ids = {}; // Imported device ID → the ID it ended up with
+        const devices = triggers.flatMap(config => {
+            const [device] = this.pasteDevices([config], { dx, dy });
+            if (!device) return [];
+            ids[config.id] = device.id;
+            if (device.id !== config.id) renamed.push({ kind: 'device', from: config.id, to: device.id });
+            return [device];
+        });
+        const instances = (layoutData.instances || []).map(config => {
+            const id = this.uniqueDeviceId(config.id);
+            const component = componentNames[config.component] || config.component;
+            if (id !== config.id) renamed.push({ kind: 'instance', from: config.id, to: id });
+            // Devices inside an instance are named after it
+            this.components[component].triggers.forEach(({ id: inner }) => {
+                ids[`${config.id}${INSTANCE_SEPARATOR}${inner}`] = `${id}${INSTANCE_SEPARATOR}${inner}`;
+            });
+            return this.addInstance({ ...config, id, component, x: (config.x || 0) + dx, y: (config.y || 0) + dy });
+        });
+
+        // Scenarios follow the devices they check
+        const scenarios = (layoutData.scenarios || []).map(scenario => {
+            const name = uniqueName(scenario.name, candidate => this.scenarios.some(existing => existing.name === candidate));
+            if (name !== scenario.name) renamed.push({ kind: 'scenario', from: scenario.name, to: name });
+            const copy = {
+                ...scenario,
+                name,
+                assertions: (scenario.assertions || []).map(assertion => (assertion.trigger && ids[assertion.trigger]
+                    ? { ...assertion, trigger: ids[assertion.trigger] }
+                    : assertion)),
+            };
+            this.scenarios.push(copy);
+            return copy;
+        });
+
+        // Input buttons for channels that already have one are left out, and keys already in use are dropped
+        (layoutData.inputs || []).forEach(({ name, channel, key }) => {
+            if (!name || !channel || this.inputs.some(input => input.channel === channel)) return;
+            this.inputs.push({ name, channel, key: key && !this.inputs.some(input => input.key === key) ? key : null });
+        });
+        return { devices, instances, scenarios, renamed };
+    }
+
+    // Devices placed by component instances are left out; the instances recreate them
+    serialize() {
+        return this.getDevices().filter(t => !t.instance).map(t => t.serialize());
+    }
+
+    // Every device in the order it was placed (object key order puts numeric IDs first)
+    getDevices() {
+        return Object.values(this.triggers).sort((a, b) => a.placement - b.placement);
+    }
+
+    serializeLayout() {
+        return {
+            version: LAYOUT_VERSION,
+            meta: { ...this.meta },
+            triggers: this.serialize(),
+            scenarios: this.scenarios,
+            components: Object.values(this.components),
+            instances: Object.values(this.instances),
+            inputs: this.inputs,
+            settings: { ...this.limits, expectedLoops: this.expectedLoops, memory: this.memory, ordering: this.ordering },
+        };
+    }
+
+    // A headless engine with the same layout, starting from its initial states
+    clone() {
+        const copy = new Engine();
+        copy.loadLayoutData(JSON.parse(JSON.stringify(this.serializeLayout())));
+        copy.clearLog();
+        return copy;
+    }
+
+    // Every output → input link, as { from, to, channel, kind, wire } where kind is the
+    // input property (e.g. activateOn) and wire its category
+    getConnections() {
+        const connections = [];
+        this.getDevices().forEach(source => {
+            source.getOutputs().forEach(channel => {
+                this.getListeners(channel).forEach(target => {
+                    target.getInputs().forEach(input => {
+                        if (input.channels.includes(channel)) {
+                            connections.push({ from: source.id, to: target.id, channel, kind: input.property, wire: input.wire });
+                        }
+                    });
+                });
+            });
+        });
+        return connections;
+    }
+
+    // --- Copy and paste ---
+    // An unused device ID based on id: T_A → T_A_2, T_A_2 → T_A_3, ...
+    uniqueDeviceId(id) {
+        const isTaken = (candidate) => this.triggers[candidate] || this.instances[candidate];
+        if (!isTaken(id)) return id;
+        const base = id.replace(/_\d+$/, '');
+        let n = 2;
+        while (isTaken(`${base}_${n}`)) n++;
+        return `${base}_${n}`;
+    }
+
+    // Adds copies of serialized devices under unused IDs, moved by (dx, dy), with channels
+    // renamed by renames ({ OLD: 'NEW' }). Returns the new devices.
+    pasteDevices(configs, { dx = 0, dy = 0, renames = {} } = {}) {
+        const rename = (channel) => renames[channel] || channel;
+        return configs.map(config => {
+            const DeviceClass = this.getDeviceClass(config.type || 'trigger');
+            const copy = { ...config, id: this.uniqueDeviceId(config.id), x: (config.x || 0) + dx, y: (config.y || 0) + dy };
+            (DeviceClass ? DeviceClass.fields : []).forEach(field => {
+                const value = parseField(field, config[field.property]);
+                if (field.type === 'channels') copy[field.property] = value.map(rename);
+                else if (field.type === 'channel' && value) copy[field.property] = rename(value);
+            });
+            return this.addTrigger(copy);
+        }).filter(device => device);
+    }
+
+    // --- Components ---
+    defineComponent(component) {
+        const errors = validateComponent(component);
+        if (errors.length > 0) throw new Error(`Invalid component: ${errors.join(' ')}`);
+        this.components[component.name] = JSON.parse(JSON.stringify(component));
+        return this.components[component.name];
+    }
+
+    removeComponent(name) {
+        const users = Object.values(this.instances).filter(instance => instance.component === name);
+        if (users.length > 0) throw new Error(`Component '${name}' is used by ${users.map(instance => instance.id).join(', ')}.`);
+        delete this.components[name];
+    }
+
+    // Input ports are channels the group listens on but never sends itself;
+    // output ports are channels it sends that nothing in the group listens on
+    suggestPorts(ids) {
+        const devices = ids.map(id => this.triggers[id]).filter(device => device);
+        const listened = new Set(devices.flatMap(device => device.getInputs().flatMap(input => input.channels)));
+        const sent = new Set(devices.flatMap(device => device.getOutputs()));
+        return {
+            inputs: [...listened].filter(channel => !sent.has(channel)),
+            outputs: [...sent].filter(channel => !listened.has(channel)),
+        };
+    }
+
+    // A component definition from devices already on the canvas; ports default to suggestPorts()
+    createComponent(name, ids, ports = this.suggestPorts(ids)) {
+        if (ids.length === 0) throw new Error('Select the devices to turn into a component.');
+        const devices = ids.map(id => {
+            const device = this.triggers[id];
+            if (!device) throw new Error(`No device '${id}'.`);
+            if (device.instance) throw new Error(`'${id}' already belongs to instance '${device.instance}'.`);
+            return device;
+        });
+        const left = Math.min(...devices.map(device => device.x || 0));
+        const top = Math.min(...devices.map(device => device.y || 0));
+        return {
+            name,
+            inputs: ports.inputs,
+            outputs: ports.outputs,
+            triggers: devices.map(device => ({ ...device.serialize(), x: (device.x || 0) - left, y: (device.y || 0) - top })),
+        };
+    }
+
+    // Device configs for an instance, with IDs, channels and positions namespaced
+    expandInstance(component, instance) {
+        return component.triggers.map(config => {
+            const type = config.type || 'trigger';
+            const DeviceClass = this.getDeviceClass(type);
+            if (!DeviceClass) throw new Error(`Unknown device type '${type}' in component '${component.name}'.`);
+            const expanded = {
+                ...config,
+                id: `${instance.id}${INSTANCE_SEPARATOR}${config.id}`,
+                instance: instance.id,
+                x: instance.x + (config.x || 0),
+                y: instance.y + INSTANCE_HEADER_HEIGHT + (config.y || 0),
+            };
+            DeviceClass.fields.forEach(field => {
+                const value = parseField(field, config[field.property]);
+                if (field.type === 'channels') expanded[field.property] = value.map(channel => namespaceChannel(component, instance, channel));
+                else if (field.type === 'channel' && value) expanded[field.property] = namespaceChannel(component, instance, value);
+            });
+            return expanded;
+        });
+    }
+
+    addInstance(config) {
+        const component = this.components[config.component];
+        if (!component) throw new Error(`Unknown component '${config.component}'.`);
+        if (!config.id || config.id.includes(INSTANCE_SEPARATOR) || this.instances[config.id] || this.triggers[config.id]) {
+            throw new Error(`Invalid or duplicate instance ID '${config.id || ''}'.`);
+        }
+        const instance = {
+            id: config.id,
+            component: component.name,
+            bindings: { ...config.bindings },
+            x: config.x || 0,
+            y: config.y || 0,
+            expanded: Boolean(config.expanded),
+        };
+        const configs = this.expandInstance(component, instance);
+        this.instances[instance.id] = instance;
+        configs.forEach(deviceConfig => this.addTrigger(deviceConfig));
+        this.logEvent(`Placed '${instance.id}' (${component.name}).`, '', { action: 'create', target: instance.id });
+        return instance;
+    }
+
+    getInstanceDevices(id) {
+        return Object.values(this.triggers).filter(device => device.instance === id);
+    }
+
+    removeInstance(id) {
+        this.getInstanceDevices(id).forEach(device => this.removeTrigger(device.id));
+        delete this.instances[id];
+    }
+
+    // Rebuilds an instance with new bindings or position, restoring it if that fails.
+    // Either way it keeps its place in the list, so saved layouts don't reorder.
+    updateInstance(id, changes) {
+        const previous = this.instances[id];
+        const order = Object.keys(this.instances);
+        this.removeInstance(id);
+        try {
+            return this.addInstance({ ...previous, ...changes });
+        } catch (error) {
+            this.addInstance(previous);
+            throw error;
+        } finally {
+            this.instances = Object.fromEntries(order.filter(key => this.instances[key]).map(key => [key, this.instances[key]]));
+        }
+    }
+
+    moveInstance(id, x, y) {
+        const instance = this.instances[id];
+        const dx = x - instance.x;
+        const dy = y - instance.y;
+        instance.x = x;
+        instance.y = y;
+        this.getInstanceDevices(id).forEach(device => {
+            device.x += dx;
+            device.y += dy;
+        });
+    }
+
+    pulse(channel, time = this.time) {
+        if (!channel) throw new Error('Channel name cannot be empty.');
+        const entry = this.logEvent(`⚡ Injecting initial pulse on channel '${channel}' at T=${time}`, 'bold', {
+            action: 'inject', channel, sourceId: 'EXTERNAL', time,
+        });
+        this.enqueue({ time, channel, sourceId: 'EXTERNAL', cause: entry.id });
+    }
+
+    enqueue(event) {
+        const queued = { ...event, sequence: this.queued++ };
+        queued.rank = this.rankEvent(queued);
+        this.eventQueue.push(queued);
+    }
+
+    // Where an event goes among the others due at the same time; ties go in the order queued
+    rankEvent(event) {
+        if (this.ordering.mode === 'random') return this.random();
+        if (this.ordering.mode === 'insertion') return this.triggers[event.sourceId] ? this.triggers[event.sourceId].placement : -1;
+        return 0;
+    }
+
+    setOrdering(mode, seed = DEFAULT_ORDERING.seed) {
+        if (!ORDERING_MODES[mode]) throw new Error(`Unknown ordering mode '${mode}'.`);
+        this.ordering = { mode, seed: Number.isInteger(seed) ? seed : DEFAULT_ORDERING.seed };
+        this.random = createRandom(this.ordering.seed);
+        this.eventQueue.rerank(event => this.rankEvent(event));
+    }
+
+    // The devices an event reaches, in the order they get it
+    getDeliveryOrder(channel) {
+        const devices = this.getListeners(channel);
+        if (this.ordering.mode !== 'random') return devices;
+        for (let i = devices.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [devices[i], devices[j]] = [devices[j], devices[i]];
+        }
+        return devices;
+    }
+
+    // Schedules a trigger's output as if it had been triggered; returns false if it is inactive
+    manuallyTrigger(triggerId) {
+        const trigger = this.triggers[triggerId];
+        if (!trigger) return false;
+        if (!trigger.canFire()) {
+            this.logEvent(`Cannot manually trigger '${triggerId}'; it is inactive.`, 'bold', { target: triggerId });
+            return false;
+        }
+        this.logEvent(`⚡ Manually triggering '${triggerId}' at T=${this.time}`, 'bold', { action: 'manual', target: triggerId });
+        trigger.fire(this);
+        return true;
+    }
+
+    // Removes the earliest pending event and advances the clock to it
+    nextEvent() {
+        if (this.eventQueue.length === 0) {
+            this.resetRunaway();
+            return null;
+        }
+        const event = this.eventQueue.pop();
+        this.time = event.time;
+        this.trace.pulses.push({ time: event.time, channel: event.channel, sourceId: event.sourceId });
+        const entry = this.logEvent(`--- Processing T=${event.time}, Channel='${event.channel}' ---`, 'bold', {
+            action: 'process', channel: event.channel, sourceId: event.sourceId, parent: event.cause ?? null,
+        });
+        event.entry = entry.id;
+        return event;
+    }
+
+    // Delivers a dequeued event to the devices listening on its channel; what they log is caused by the event
+    processEvent(event) {
+        let handledAtLeastOnce = false;
+        this.currentEntry = event.entry ?? null;
+        const source = this.triggers[event.sourceId];
+        const listeners = this.getDeliveryOrder(event.channel);
+        if (source) source.sent(event, this);
+        listeners.forEach(trigger => {
+            const handled = trigger.handlePulse(event.channel, this);
+            if (handled) handledAtLeastOnce = true;
+        });
+        this.touched = source ? [...listeners, source] : listeners; // The only devices whose state can have changed
+        if (!handledAtLeastOnce) {
+            this.logEvent(`  - Pulse on '${event.channel}' was not handled by any trigger.`, '', { action: 'unhandled', channel: event.channel });
+        }
+        this.currentEntry = null;
+    }
+
+    step() {
+        const event = this.nextEvent();
+        if (event) {
+            this.processEvent(event);
+            this.checkRunaway(event);
+        }
+        return event;
+    }
+
+    // Drains the queue immediately, with no animation delay
+    runToCompletion() {
+        while (this.step());
+        this.logEvent('--- Simulation End ---', 'bold', { action: 'end' });
+        return this.getResult();
+    }
+
+    // Pulses each channel in order, letting every pulse settle before the next one.
+    // Entries are channel names or { channel, time } objects.
+    runSequence(pulses) {
+        pulses.forEach(entry => {
+            const { channel, time } = typeof entry === 'string' ? { channel: entry } : entry;
+            this.pulse(channel, time === undefined ? this.time : time);
+            this.runToCompletion();
+        });
+        return this.getResult();
+    }
+
+    getStates() {
+        const states = {};
+        Object.values(this.triggers).forEach(t => { states[t.id] = t.state; });
+        return states;
+    }
+
+    getResult() {
+        return { time: this.time, states: this.getStates(), halts: this.halts.slice(), log: this.log.slice() };
+    }
+
+    // --- Runaway detection ---
+    // Each run is checked against the event budget and max simulated time, and for an exact
+    // repeat of the global state (every trigger state plus the pending queue, relative to now).
+    // A repeat means the run can never finish on its own.
+    // The device states are hashed as one XOR of per-device hashes, built at the start of a
+    // run and then updated only for the devices each event reached.
+    resetRunaway() {
+        this.runaway = { events: 0, startTime: this.time, seen: new Map(), recent: [], cycle: null, deviceHashes: null, stateHash: [0, 0] };
+        this.touched = [];
+    }
+
+    rehashDevice(device) {
+        const runaway = this.runaway;
+        const previous = runaway.deviceHashes.get(device);
+        const next = hashPair(`${device.id}\n${device.getStateKey()}`);
+        if (previous) {
+            runaway.stateHash[0] ^= previous[0];
+            runaway.stateHash[1] ^= previous[1];
+        }
+        runaway.stateHash[0] ^= next[0];
+        runaway.stateHash[1] ^= next[1];
+        runaway.deviceHashes.set(device, next);
+    }
+
+    updateStateHash() {
+        const runaway = this.runaway;
+        if (!runaway.deviceHashes) {
+            runaway.deviceHashes = new Map();
+            Object.values(this.triggers).forEach(device => this.rehashDevice(device));
+        } else {
+            this.touched.forEach(device => this.rehashDevice(device));
+        }
+        this.touched = [];
+    }
+
+    getGlobalStateKey() {
+        this.updateStateHash();
+        return `${this.runaway.stateHash.join(',')}#${this.eventQueue.getKey(this.time)}`;
+    }
+
+    // Channels and the triggers that emitted them over a window of processed events
+    describeLoop(events) {
+        const channels = [...new Set(events.map(e => e.channel))].sort();
+        const triggers = [...new Set(events.map(e => e.sourceId).filter(id => id !== 'EXTERNAL'))].sort();
+        return { channels, triggers };
+    }
+
+    isExpectedLoop(channels) {
+        return this.expectedLoops.some(loop => channels.every(channel => loop.includes(channel)));
+    }
+
+    // Called after each processed event; stops the run and returns a report if it ran away
+    checkRunaway(event) {
+        const runaway = this.runaway;
+        if (runaway.events === 0) runaway.startTime = event.time;
+        runaway.events++;
+        runaway.recent.push(event);
+        if (runaway.recent.length > RUNAWAY_WINDOW) runaway.recent.shift();
+        this.updateStateHash(); // Every event, so the hash never misses a change
+        if (this.eventQueue.length === 0) return null;
+
+        const nextTime = this.eventQueue.peek().time;
+        if (runaway.events >= this.limits.maxEvents) {
+            return this.haltRun('events', `Event budget of ${this.limits.maxEvents} reached`);
+        }
+        if (nextTime - runaway.startTime > this.limits.maxTime) {
+            return this.haltRun('time', `Max simulated time of ${this.limits.maxTime} reached`);
+        }
+        if (runaway.cycle) return null; // Expected loop already found; let it run until capped
+
+        const key = hashString(this.getGlobalStateKey());
+        const previous = runaway.seen.get(key);
+        if (previous === undefined) {
+            runaway.seen.set(key, { events: runaway.events, time: event.time });
+            return null;
+        }
+        const periodEvents = runaway.events - previous.events;
+        const cycle = {
+            ...this.describeLoop(runaway.recent.slice(-periodEvents)),
+            period: { events: periodEvents, time: event.time - previous.time },
+        };
+        if (this.isExpectedLoop(cycle.channels)) {
+            runaway.cycle = cycle;
+            this.logEvent(`↻ Expected loop on ${cycle.channels.map(c => `'${c}'`).join(', ')} (period ${periodEvents} events, T+${cycle.period.time}); running until capped.`, 'bold', { action: 'loop' });
+            return null;
+        }
+        return this.haltRun('cycle', 'Infinite loop detected', cycle);
+    }
+
+    // Empties the queue so the run ends, and records why
+    haltRun(reason, message, cycle = this.runaway.cycle) {
+        const loop = cycle || { ...this.describeLoop(this.runaway.recent), period: null };
+        const expected = this.isExpectedLoop(loop.channels);
+        const report = {
+            reason,
+            expected,
+            message,
+            time: this.time,
+            events: this.runaway.events,
+            pending: this.eventQueue.length,
+            ...loop,
+        };
+        this.halts.push(report);
+        this.eventQueue.clear();
+        const period = loop.period ? ` Period: ${loop.period.events} events, T+${loop.period.time}.` : '';
+        this.logEvent(`${expected ? '↻' : '⛔'} ${message} at T=${this.time} after ${report.events} events${expected ? ' (expected loop, capped)' : ''}.`, 'bold', { action: 'halt' });
+        this.logEvent(`  - Loop channels: ${loop.channels.join(', ') || 'none'}; triggers: ${loop.triggers.join(', ') || 'none'}.${period}`, '', { action: 'halt' });
+        return report;
+    }
+
+    // --- Trace ---
+    // A record of every state change, processed pulse and TRIGGERED event since the last reset,
+    // so the state at any earlier time can be reconstructed.
+    resetTrace() {
+        this.trace = { initialStates: this.getStates(), stateChanges: [], pulses: [], triggered: [] };
+    }
+
+    recordState(trigger) {
+        this.trace.stateChanges.push({ time: this.time, id: trigger.id, state: trigger.state });
+    }
+
+    recordTriggered(trigger, channel) {
+        this.trace.triggered.push({ time: this.time, id: trigger.id, channel });
+    }
+
+    // States after every change at or before the given time
+    getStatesAt(time) {
+        const states = { ...this.trace.initialStates };
+        this.trace.stateChanges.forEach(change => {
+            if (change.time <= time) states[change.id] = change.state;
+        });
+        Object.keys(states).forEach(id => {
+            if (!this.triggers[id]) delete states[id];
+        });
+        return states;
+    }
+
+    clear() {
+        this.eventQueue.clear();
+        this.time = 0;
+        this.clearLog();
+        this.triggers = {};
+        this.listeners = new Map();
+        this.scenarios = [];
+        this.limits = { ...DEFAULT_LIMITS };
+        this.expectedLoops = [];
+        this.memory = { budget: null, costs: {} };
+        this.components = {};
+        this.instances = {};
+        this.inputs = [];
+        this.meta = { name: '', description: '' };
+        this.placements = 0;
+        this.setOrdering(DEFAULT_ORDERING.mode, DEFAULT_ORDERING.seed);
+        this.halts = [];
+        this.resetTrace();
+        this.resetRunaway();
+    }
+
+    reset() {
+        this.eventQueue.clear();
+        this.time = 0;
+        this.clearLog();
+        Object.values(this.triggers).forEach(trigger => trigger.reset());
+        this.random = createRandom(this.ordering.seed); // Replays the same random order after each reset
+        this.halts = [];
+        this.resetTrace();
+        this.resetRunaway();
+    }
+
+    // --- Log ---
+    // Every entry is { id, time, action, message, channel, sourceId, target, parent, style }.
+    // parent is the ID of the entry that caused this one, so any entry can be traced back
+    // to the pulse that started it (see getCausalChain). Actions are listed in LOG_ACTIONS.
+    clearLog() {
+        this.log = [];
+        this.lastEntryFor = {}; // Latest entry ID per target device, the cause of what it emits next
+        this.currentEntry = null; // The 'process' entry while an event is being delivered
+    }
+
+    logEvent(message, style = '', details = {}) {
+        const entry = {
+            id: this.log.length,
+            time: this.time,
+            action: 'info',
+            message,
+            channel: null,
+            sourceId: null,
+            target: null,
+            parent: this.currentEntry,
+            style,
+            ...details,
+        };
+        this.log.push(entry);
+        if (entry.target) this.lastEntryFor[entry.target] = entry.id;
+        return entry;
+    }
+
+    // The entries leading up to an entry, starting with the external pulse or manual action
+    getCausalChain(id) {
+        const chain = [];
+        for (let entry = this.log[id]; entry; entry = entry.parent === null ? null : this.log[entry.parent]) {
+            chain.unshift(entry);
+        }
+        return chain;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseChannels,
+        DEFAULT_LIMITS,
+        describeHalt,
+        EventQueue,
+        DeviceCore,
+        TriggerCore,
+        CounterCore,
+        RelayCore,
+        RepeaterCore,
+        WireRepeaterCore,
+        DEVICE_TYPES,
+        LOG_ACTIONS,
+        ORDERING_MODES,
+        DEFAULT_ORDERING,
+        describeOrdering,
+        INSTANCE_SEPARATOR,
+        validateComponent,
+        LAYOUT_VERSION,
+        Engine,
+    };
+}
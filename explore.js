@@ -0,0 +1,97 @@
+// --- State-space explorer ---
+// Tries every sequence of input pulses, up to a chosen length, on headless copies of a layout
+// and lists each combination of device states that can be reached, with the shortest sequence
+// that reaches it. Every pulse settles before the next one, as with runSequence().
+// Forbidden-state rules are boolean expressions over device IDs (see generator.js), where a
+// device is true while active: 'DOOR_A & DOOR_B' flags any state with both doors open.
+
+const DEFAULT_EXPLORE_DEPTH = 4;
+const DEFAULT_EXPLORE_MAX_STATES = 500; // Distinct device states explored before giving up
+
+// The parser lives in generator.js: a global in the browser, a module in Node
+const getExpressionParser = () => (typeof parseExpression === 'function'
+    ? { parseExpression, evaluateExpression }
+    : require('./generator.js'));
+
+// One rule per non-blank line; throws on syntax errors and unknown device IDs
+const parseStateRules = (engine, text) => {
+    const parser = getExpressionParser();
+    return (text || '').split('\n').map(line => line.trim()).filter(line => line).map(line => {
+        let parsed;
+        try {
+            parsed = parser.parseExpression(line);
+        } catch (e) {
+            throw new Error(`Rule '${line}': ${e.message}`);
+        }
+        const unknown = parsed.variables.filter(id => !engine.triggers[id]);
+        if (unknown.length > 0) throw new Error(`Rule '${line}' names unknown device${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}.`);
+        return { text: line, test: (states) => Boolean(parser.evaluateExpression(parsed.ast, states)) };
+    });
+};
+
+// Everything about the devices that affects what later pulses do (counter values, not just states)
+const getDeviceStateKey = (engine) => Object.values(engine.triggers).map(device => device.getStateKey()).join('|');
+
+// Returns { states, explored, complete, truncated } where states are
+// { states, active, sequence, violations, halt } in order of sequence length. Sequences
+// that halt (a runaway or capped loop) are listed but not extended.
+const exploreStates = (engine, { channels, depth = DEFAULT_EXPLORE_DEPTH, rules = [], maxStates = DEFAULT_EXPLORE_MAX_STATES }) => {
+    if (!channels || channels.length === 0) throw new Error('Choose at least one input channel to explore.');
+    const found = new Map(); // Combination of states → entry
+    const visited = new Set();
+    let frontier = [[]];
+    let truncated = false;
+
+    const record = (copy, sequence) => {
+        const states = copy.getStates();
+        const combination = Object.keys(states).map(id => (states[id] ? '1' : '0')).join('');
+        if (found.has(combination)) return;
+        const halt = copy.halts.length > 0 ? copy.halts[copy.halts.length - 1] : null;
+        found.set(combination, {
+            states,
+            active: Object.keys(states).filter(id => states[id]),
+            sequence,
+            violations: rules.filter(rule => rule.test(states)).map(rule => rule.text),
+            halt: halt && { reason: halt.reason, message: halt.message, expected: halt.expected },
+        });
+    };
+
+    // The starting state, before any input
+    const initial = engine.clone();
+    visited.add(getDeviceStateKey(initial));
+    record(initial, []);
+
+    // Breadth first, so the first sequence to reach a state is a shortest one
+    for (let length = 1; length <= depth && frontier.length > 0 && !truncated; length++) {
+        const next = [];
+        for (const prefix of frontier) {
+            for (const channel of channels) {
+                const sequence = [...prefix, channel];
+                const copy = engine.clone();
+                copy.runSequence(sequence);
+                const key = getDeviceStateKey(copy);
+                if (visited.has(key)) continue;
+                visited.add(key);
+                record(copy, sequence);
+                if (copy.halts.length === 0) next.push(sequence);
+                if (visited.size >= maxStates) {
+                    truncated = true;
+                    break;
+                }
+            }
+            if (truncated) break;
+        }
+        frontier = next;
+    }
+
+    return {
+        states: [...found.values()],
+        explored: visited.size,
+        complete: frontier.length === 0 && !truncated, // Nothing new is reachable with longer sequences
+        truncated,
+    };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_EXPLORE_DEPTH, DEFAULT_EXPLORE_MAX_STATES, parseStateRules, exploreStates };
+}
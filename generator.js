@@ -0,0 +1,378 @@
+// --- Logic generator ---
+// Builds trigger networks from a boolean expression, a truth table or a template.
+//
+// Each input variable X is a level set by a pair of channels (X_ON / X_OFF by
+// default) and starts off. A generated function re-evaluates one time unit after
+// any input changes:
+//   - every product term is a chain of triggers, each one active while its variable
+//     has the value the term needs, so the EVAL pulse only reaches the end of the
+//     chain (HIT) when the whole term matches
+//   - the result trigger, named after the output, is cleared by EVAL and set by any HIT
+//   - one unit later the result pulses OUT_ON if it is true, and its inverse pulses OUT_OFF if not
+
+const MAX_GENERATOR_VARIABLES = 8;
+const GENERATOR_COLUMN_WIDTH = 260;
+const GENERATOR_ROW_HEIGHT = 180;
+const DEFAULT_GENERATOR_OPTIONS = { prefix: null, onPattern: '{name}_ON', offPattern: '{name}_OFF', output: 'OUT' };
+
+const channelFor = (pattern, name) => pattern.split('{name}').join(name);
+
+// --- Expressions ---
+// Operators, loosest first: | (or +), ^, & (or *), ! (or ~). Constants 0 and 1.
+// Names may contain '/', so device IDs inside a component instance ('L1/T_MEM') can be used.
+const tokenizeExpression = (text) => {
+    const tokens = [];
+    const pattern = /\s*(?:([A-Za-z_][A-Za-z0-9_]*(?:\/[A-Za-z0-9_]+)*)|([01])|([()|+^&*!~]))/y;
+    while (text.slice(pattern.lastIndex).trim()) {
+        const rest = text.slice(pattern.lastIndex).trimStart();
+        const match = pattern.exec(text);
+        if (!match) throw new Error(`Unexpected '${rest[0]}' at position ${text.length - rest.length + 1}.`);
+        const position = text.length - rest.length;
+        if (match[1]) tokens.push({ type: 'var', value: match[1], position });
+        else if (match[2]) tokens.push({ type: 'const', value: match[2] === '1', position });
+        else tokens.push({ type: 'op', value: match[3], position });
+    }
+    return tokens;
+};
+
+// Returns { ast, variables } with the variables in order of first appearance
+const parseExpression = (text) => {
+    const tokens = tokenizeExpression(text || '');
+    const variables = [];
+    let index = 0;
+    const peek = () => tokens[index];
+    const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+    const fail = (message) => {
+        const token = peek();
+        throw new Error(token ? `${message} at position ${token.position + 1}.` : `${message} at the end.`);
+    };
+
+    const parseBinary = (parseOperand, ops, op) => () => {
+        let left = parseOperand();
+        while (isOp(...ops)) {
+            index++;
+            left = { op, left, right: parseOperand() };
+        }
+        return left;
+    };
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) return fail('Expected a variable');
+        if (isOp('!', '~')) {
+            index++;
+            return { op: 'not', arg: parsePrimary() };
+        }
+        if (isOp('(')) {
+            index++;
+            const inner = parseOr();
+            if (!isOp(')')) return fail("Expected ')'");
+            index++;
+            return inner;
+        }
+        if (token.type === 'var') {
+            index++;
+            if (!variables.includes(token.value)) variables.push(token.value);
+            return { op: 'var', name: token.value };
+        }
+        if (token.type === 'const') {
+            index++;
+            return { op: 'const', value: token.value };
+        }
+        return fail(`Unexpected '${token.value}'`);
+    };
+    const parseAnd = parseBinary(parsePrimary, ['&', '*'], 'and');
+    const parseXor = parseBinary(parseAnd, ['^'], 'xor');
+    const parseOr = parseBinary(parseXor, ['|', '+'], 'or');
+
+    const ast = parseOr();
+    if (peek()) fail(`Unexpected '${peek().value}'`);
+    if (variables.length > MAX_GENERATOR_VARIABLES) throw new Error(`Expressions can use at most ${MAX_GENERATOR_VARIABLES} variables.`);
+    return { ast, variables };
+};
+
+const evaluateExpression = (node, values) => {
+    switch (node.op) {
+        case 'var': return values[node.name];
+        case 'const': return node.value;
+        case 'not': return !evaluateExpression(node.arg, values);
+        case 'and': return evaluateExpression(node.left, values) && evaluateExpression(node.right, values);
+        case 'or': return evaluateExpression(node.left, values) || evaluateExpression(node.right, values);
+        case 'xor': return evaluateExpression(node.left, values) !== evaluateExpression(node.right, values);
+        default: throw new Error(`Unknown operator '${node.op}'.`);
+    }
+};
+
+// --- Truth tables ---
+// A header naming the inputs, then the output after '|' (or as the last column):
+//   A B | OUT
+//   0 1 | 1
+// Rows left out are 0; an output of x means "don't care". Lines starting with # are ignored.
+const parseTruthTable = (text) => {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) throw new Error('The truth table is empty.');
+    const splitRow = (line) => {
+        const [left, right] = line.includes('|') ? line.split('|') : [line.replace(/\S+$/, ''), line.match(/\S+$/)[0]];
+        return { inputs: left.split(/[\s,]+/).filter(cell => cell), output: right.trim() };
+    };
+    const header = splitRow(lines[0]);
+    const variables = header.inputs;
+    if (variables.length > MAX_GENERATOR_VARIABLES) throw new Error(`Truth tables can have at most ${MAX_GENERATOR_VARIABLES} inputs.`);
+    const rows = new Map(); // Row index (first input is the high bit) → true, false or null for don't care
+    lines.slice(1).forEach((line, i) => {
+        const row = splitRow(line);
+        if (row.inputs.length !== variables.length || !row.inputs.every(cell => cell === '0' || cell === '1')) {
+            throw new Error(`Row ${i + 1} needs a 0 or 1 for each of ${variables.join(', ')}.`);
+        }
+        if (!['0', '1', 'x', 'X'].includes(row.output)) throw new Error(`Row ${i + 1} needs an output of 0, 1 or x.`);
+        const key = parseInt(row.inputs.join('') || '0', 2);
+        const value = row.output === '1' ? true : row.output === '0' ? false : null;
+        if (rows.has(key) && rows.get(key) !== value) throw new Error(`Row ${i + 1} contradicts an earlier row.`);
+        rows.set(key, value);
+    });
+    return { variables, output: header.output || null, rows };
+};
+
+// --- Minimization ---
+// Terms are strings with one character per variable: '1', '0' or '-' (either).
+const combineTerms = (a, b) => {
+    let difference = -1;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) continue;
+        if (a[i] === '-' || b[i] === '-' || difference !== -1) return null;
+        difference = i;
+    }
+    return difference === -1 ? null : `${a.slice(0, difference)}-${a.slice(difference + 1)}`;
+};
+
+const termCovers = (term, minterm) => [...term].every((bit, i) => bit === '-' || bit === minterm[i]);
+
+// Quine–McCluskey prime implicants, then a greedy cover of the minterms
+const minimize = (minterms, dontCares, count) => {
+    const toBits = (value) => (count === 0 ? '' : value.toString(2).padStart(count, '0'));
+    const required = minterms.map(toBits);
+    if (required.length === 0) return [];
+    let terms = [...new Set([...minterms, ...dontCares].map(toBits))];
+    const primes = new Set();
+    while (terms.length > 0) {
+        const used = new Set();
+        const next = new Set();
+        terms.forEach((a, i) => terms.slice(i + 1).forEach(b => {
+            const combined = combineTerms(a, b);
+            if (!combined) return;
+            used.add(a);
+            used.add(b);
+            next.add(combined);
+        }));
+        terms.forEach(term => { if (!used.has(term)) primes.add(term); });
+        terms = [...next];
+    }
+    const cover = [];
+    let remaining = required;
+    const candidates = [...primes];
+    while (remaining.length > 0) {
+        const best = candidates.reduce((a, b) => (
+            remaining.filter(m => termCovers(b, m)).length > remaining.filter(m => termCovers(a, m)).length ? b : a
+        ));
+        cover.push(best);
+        remaining = remaining.filter(m => !termCovers(best, m));
+    }
+    return cover;
+};
+
+// --- Synthesis ---
+const resolveOptions = (options, defaults = {}) => {
+    const resolved = { ...DEFAULT_GENERATOR_OPTIONS, ...defaults };
+    Object.entries(options || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') resolved[key] = value;
+    });
+    if (!resolved.prefix) resolved.prefix = `${resolved.output}_`;
+    return resolved;
+};
+
+// Trigger configs computing fn(values) over the variables; see the top of the file.
+// Returns { triggers, inputs, outputs } with the channels to pulse and listen to.
+const synthesizeFunction = (variables, fn, options, defaults = {}) => {
+    const { prefix, onPattern, offPattern, output } = resolveOptions(options, defaults);
+    const count = variables.length;
+    const minterms = [];
+    const dontCares = [];
+    for (let row = 0; row < 2 ** count; row++) {
+        const values = Object.fromEntries(variables.map((name, i) => [name, Boolean((row >> (count - 1 - i)) & 1)]));
+        const value = fn(values, row);
+        if (value === null) dontCares.push(row);
+        else if (value) minterms.push(row);
+    }
+    const initialValue = minterms.includes(0);
+    const inputChannels = variables.flatMap(name => [channelFor(onPattern, name), channelFor(offPattern, name)]);
+    const evalChannel = `${prefix}EVAL`;
+    const emitChannel = `${prefix}EMIT`;
+    const hitChannel = `${prefix}HIT`;
+    const terms = minimize(minterms, dontCares, count);
+    const chainLength = Math.max(1, ...terms.map(term => term.replace(/-/g, '').length));
+    const outputColumn = (chainLength + 1) * GENERATOR_COLUMN_WIDTH;
+
+    const triggers = [
+        { id: `${prefix}EVAL`, triggerOn: inputChannels.join(', '), whenTriggered: evalChannel, delay: 1, initialState: true, x: 0, y: 0 },
+        { id: `${prefix}EMIT`, triggerOn: evalChannel, whenTriggered: emitChannel, delay: 1, initialState: true, x: 0, y: GENERATOR_ROW_HEIGHT },
+        { id: output, activateOn: hitChannel, deactivateOn: evalChannel, triggerOn: emitChannel, whenTriggered: channelFor(onPattern, output), delay: 0, initialState: initialValue, x: outputColumn, y: 0 },
+        { id: `${prefix}NOT`, activateOn: evalChannel, deactivateOn: hitChannel, triggerOn: emitChannel, whenTriggered: channelFor(offPattern, output), delay: 0, initialState: !initialValue, x: outputColumn, y: GENERATOR_ROW_HEIGHT },
+    ];
+    terms.forEach((term, t) => {
+        const literals = [...term].map((bit, i) => ({ bit, name: variables[i] })).filter(literal => literal.bit !== '-');
+        const y = t * GENERATOR_ROW_HEIGHT;
+        if (literals.length === 0) {
+            // Always true: EVAL goes straight through
+            triggers.push({ id: `${prefix}T${t}`, triggerOn: evalChannel, whenTriggered: hitChannel, delay: 0, initialState: true, x: GENERATOR_COLUMN_WIDTH, y });
+            return;
+        }
+        literals.forEach(({ bit, name }, i) => {
+            const on = channelFor(onPattern, name);
+            const off = channelFor(offPattern, name);
+            const link = (index) => `${prefix}T${t}_${index}`;
+            triggers.push({
+                id: `${prefix}T${t}_${name}`,
+                activateOn: bit === '1' ? on : off,
+                deactivateOn: bit === '1' ? off : on,
+                triggerOn: i === 0 ? evalChannel : link(i - 1),
+                whenTriggered: i === literals.length - 1 ? hitChannel : link(i),
+                delay: 0,
+                initialState: bit === '0', // Inputs start off
+                x: (i + 1) * GENERATOR_COLUMN_WIDTH,
+                y,
+            });
+        });
+    });
+    return {
+        triggers,
+        inputs: inputChannels,
+        outputs: [channelFor(onPattern, output), channelFor(offPattern, output)],
+    };
+};
+
+const generateFromExpression = (text, options) => {
+    const { ast, variables } = parseExpression(text);
+    return synthesizeFunction(variables, values => evaluateExpression(ast, values), options);
+};
+
+const generateFromTruthTable = (text, options) => {
+    const table = parseTruthTable(text);
+    // The output named in the header is only the default
+    const defaults = table.output ? { output: table.output } : {};
+    return synthesizeFunction(table.variables, (values, row) => (table.rows.has(row) ? table.rows.get(row) : false), options, defaults);
+};
+
+// --- Templates ---
+// Pulse-driven templates use their input names as channels directly.
+// Q starts reset; S sets it and R resets it. Pulses Q_ON / Q_OFF on each.
+const buildSrLatch = (options) => {
+    const { prefix, onPattern, offPattern, output, inputs } = options;
+    const [set, reset] = inputs;
+    return {
+        triggers: [
+            { id: output, activateOn: set, deactivateOn: reset, triggerOn: set, whenTriggered: channelFor(onPattern, output), delay: 0, initialState: false, x: 0, y: 0 },
+            { id: `${prefix}NOT`, activateOn: reset, deactivateOn: set, triggerOn: reset, whenTriggered: channelFor(offPattern, output), delay: 0, initialState: true, x: 0, y: GENERATOR_ROW_HEIGHT },
+        ],
+        inputs: [set, reset],
+        outputs: [channelFor(onPattern, output), channelFor(offPattern, output)],
+    };
+};
+
+// Each pulse on T flips Q. HI and LO mirror Q; only the one matching the old state fires,
+// because the flip is a separate pulse processed afterwards.
+const buildToggle = (options, x = 0, y = 0) => {
+    const { prefix, onPattern, offPattern, output, inputs } = options;
+    const [toggle] = inputs;
+    const set = channelFor(onPattern, output);
+    const reset = channelFor(offPattern, output);
+    return {
+        triggers: [
+            { id: output, activateOn: set, deactivateOn: reset, delay: 0, initialState: false, x: x + GENERATOR_COLUMN_WIDTH, y },
+            { id: `${prefix}HI`, activateOn: set, deactivateOn: reset, triggerOn: toggle, whenTriggered: reset, delay: 0, initialState: false, x, y },
+            { id: `${prefix}LO`, activateOn: reset, deactivateOn: set, triggerOn: toggle, whenTriggered: set, delay: 0, initialState: true, x, y: y + GENERATOR_ROW_HEIGHT },
+        ],
+        inputs: [toggle],
+        outputs: [set, reset],
+    };
+};
+
+// A ripple counter: bit 0 toggles on every clock pulse, and each later bit when the one before it turns off
+const buildCounter = (options) => {
+    const { prefix, offPattern, output, inputs, size } = options;
+    const result = { triggers: [], inputs: [inputs[0]], outputs: [] };
+    for (let bit = 0; bit < size; bit++) {
+        const clock = bit === 0 ? inputs[0] : channelFor(offPattern, `${output}${bit - 1}`);
+        const stage = buildToggle({ ...options, prefix: `${prefix}${bit}_`, output: `${output}${bit}`, inputs: [clock] }, 0, bit * 2 * GENERATOR_ROW_HEIGHT);
+        result.triggers.push(...stage.triggers);
+        result.outputs.push(...stage.outputs);
+    }
+    return result;
+};
+
+// Passes a pulse through `size` stages, one time unit each
+const buildDelayLine = (options) => {
+    const { prefix, output, inputs, size } = options;
+    const triggers = [];
+    for (let stage = 0; stage < size; stage++) {
+        triggers.push({
+            id: `${prefix}STAGE${stage}`,
+            triggerOn: stage === 0 ? inputs[0] : `${prefix}S${stage - 1}`,
+            whenTriggered: stage === size - 1 ? output : `${prefix}S${stage}`,
+            delay: 1,
+            initialState: true,
+            x: stage * GENERATOR_COLUMN_WIDTH,
+            y: 0,
+        });
+    }
+    return { triggers, inputs: [inputs[0]], outputs: [output] };
+};
+
+// Gates go through synthesizeFunction so they share the level-input interface
+const gateTemplate = (label, expression, inputs) => ({
+    label,
+    defaults: { inputs, output: 'OUT' },
+    build: (options) => {
+        const { ast, variables } = parseExpression(expression);
+        const names = Object.fromEntries(variables.map((name, i) => [name, options.inputs[i]]));
+        return synthesizeFunction(variables.map(name => names[name]), values => evaluateExpression(ast, Object.fromEntries(variables.map(name => [name, values[names[name]]]))), options);
+    },
+});
+
+const GENERATOR_TEMPLATES = {
+    and: gateTemplate('AND', 'A & B', ['A', 'B']),
+    or: gateTemplate('OR', 'A | B', ['A', 'B']),
+    not: gateTemplate('NOT', '!A', ['A']),
+    xor: gateTemplate('XOR', 'A ^ B', ['A', 'B']),
+    'sr-latch': { label: 'SR Latch', defaults: { inputs: ['S', 'R'], output: 'Q' }, build: buildSrLatch },
+    toggle: { label: 'Toggle Flip-Flop', defaults: { inputs: ['T'], output: 'Q' }, build: options => buildToggle(options) },
+    counter: { label: 'N-bit Counter', defaults: { inputs: ['CLK'], output: 'Q', size: 3 }, maxSize: 8, build: buildCounter },
+    'delay-line': { label: 'Pulse Delay Line', defaults: { inputs: ['IN'], output: 'OUT', size: 4 }, maxSize: 50, build: buildDelayLine },
+};
+
+// options.inputs is a comma-separated list renaming the template's inputs
+const generateFromTemplate = (key, options = {}) => {
+    const template = GENERATOR_TEMPLATES[key];
+    if (!template) throw new Error(`Unknown template '${key}'.`);
+    const resolved = resolveOptions({ ...options, inputs: undefined, size: undefined }, template.defaults);
+    const renamed = (options.inputs || '').split(',').map(name => name.trim()).filter(name => name);
+    resolved.inputs = template.defaults.inputs.map((name, i) => renamed[i] || name);
+    if (template.maxSize) {
+        const size = options.size === undefined || options.size === '' ? template.defaults.size : Number(options.size);
+        if (!Number.isInteger(size) || size < 1 || size > template.maxSize) throw new Error(`${template.label} size must be a whole number from 1 to ${template.maxSize}.`);
+        resolved.size = size;
+    }
+    return template.build(resolved);
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseExpression,
+        evaluateExpression,
+        parseTruthTable,
+        minimize,
+        synthesizeFunction,
+        generateFromExpression,
+        generateFromTruthTable,
+        GENERATOR_TEMPLATES,
+        generateFromTemplate,
+    };
+}
@@ -0,0 +1,77 @@
+// --- Gimkit memory estimate ---
+// Gimkit maps have a memory budget, and every device, wire and channel placed
+// uses some of it. The costs below are estimates; layouts can override them
+// (settings.memory.costs) in case Gimkit changes them.
+
+const DEFAULT_MEMORY_BUDGET = 100000;
+const DEFAULT_MEMORY_COSTS = {
+    trigger: 90,
+    counter: 75,
+    relay: 60,
+    repeater: 75,
+    'wire-repeater': 30,
+    wire: 20, // Per device-to-device connection
+    channel: 10, // Per distinct channel name
+};
+
+// Labels for the cost table, in display order
+const memoryCostLabels = (engine) => Object.fromEntries(Object.keys(DEFAULT_MEMORY_COSTS).map(key => {
+    const DeviceClass = engine.getDeviceClass(key);
+    return [key, DeviceClass ? DeviceClass.label : key[0].toUpperCase() + key.slice(1)];
+}));
+
+const getMemoryCosts = (engine) => ({ ...DEFAULT_MEMORY_COSTS, ...engine.memory.costs });
+
+const getMemoryBudget = (engine) => engine.memory.budget || DEFAULT_MEMORY_BUDGET;
+
+// Every channel name a device listens or transmits on, with the devices using it
+const collectChannels = (engine) => {
+    const channels = new Map();
+    Object.values(engine.triggers).forEach(device => {
+        const names = [...device.getInputs().flatMap(input => input.channels), ...device.getOutputs()];
+        names.forEach(name => {
+            if (!channels.has(name)) channels.set(name, new Set());
+            channels.get(name).add(device.id);
+        });
+    });
+    return channels;
+};
+
+// Returns { total, budget, over, totals: { devices, wires, channels }, items } where
+// items are the devices (with their outgoing wires) and channels, most expensive first
+const estimateMemory = (engine) => {
+    const costs = getMemoryCosts(engine);
+    const connections = engine.getConnections();
+    const outgoing = new Map();
+    connections.forEach(connection => outgoing.set(connection.from, (outgoing.get(connection.from) || 0) + 1));
+    const items = Object.values(engine.triggers).map(device => {
+        const wires = outgoing.get(device.id) || 0;
+        const deviceCost = costs[device.type] || 0;
+        return {
+            kind: 'device',
+            id: device.id,
+            cost: deviceCost + wires * costs.wire,
+            detail: `${device.constructor.label}${wires > 0 ? ` + ${wires} wire${wires === 1 ? '' : 's'}` : ''}`,
+        };
+    });
+    collectChannels(engine).forEach((users, name) => {
+        items.push({ kind: 'channel', id: name, cost: costs.channel, detail: `Channel used by ${users.size}` });
+    });
+    items.sort((a, b) => b.cost - a.cost || a.id.localeCompare(b.id));
+
+    const wireTotal = connections.length * costs.wire;
+    const channelTotal = items.filter(item => item.kind === 'channel').reduce((sum, item) => sum + item.cost, 0);
+    const total = items.reduce((sum, item) => sum + item.cost, 0);
+    const budget = getMemoryBudget(engine);
+    return {
+        total,
+        budget,
+        over: total > budget,
+        totals: { devices: total - wireTotal - channelTotal, wires: wireTotal, channels: channelTotal },
+        items,
+    };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEFAULT_MEMORY_BUDGET, DEFAULT_MEMORY_COSTS, memoryCostLabels, getMemoryCosts, getMemoryBudget, estimateMemory };
+}
@@ -0,0 +1,163 @@
+// --- Scenarios ---
+// A scenario is a list of timed input pulses plus assertions about the run:
+//
+// {
+//   "name": "AND gate",
+//   "pulses": [{ "time": 0, "channel": "RESET" }, { "time": 1, "channel": "A_ON" }, { "time": 2, "channel": "B_ON" }],
+//   "assertions": [
+//     { "type": "state", "trigger": "T_RESULT", "active": true, "at": 5 },
+//     { "type": "fired", "channel": "AND_SUCCESS", "count": 1, "before": 10 },
+//     { "type": "triggered", "trigger": "T_CHAIN", "count": 1 }
+//   ]
+// }
+//
+// "at" defaults to the end of the run; "before"/"after" bound the counted window
+// (before is exclusive, after inclusive). A run stopped by loop detection fails
+// unless the loop is marked as expected.
+
+const ASSERTION_TYPES = ['state', 'fired', 'triggered'];
+
+const describeWindow = ({ after, before }) => {
+    if (after !== undefined && before !== undefined) return ` between T=${after} and T=${before}`;
+    if (before !== undefined) return ` before T=${before}`;
+    if (after !== undefined) return ` from T=${after}`;
+    return '';
+};
+
+const describeCount = (count) => (count === 1 ? 'exactly once' : `exactly ${count} times`);
+
+const describeAssertion = (assertion) => {
+    switch (assertion.type) {
+        case 'state':
+            return `'${assertion.trigger}' is ${assertion.active ? 'active' : 'inactive'} ${assertion.at === undefined ? 'at the end' : `at T=${assertion.at}`}`;
+        case 'fired':
+            return `'${assertion.channel}' fired ${describeCount(assertion.count)}${describeWindow(assertion)}`;
+        case 'triggered':
+            return `'${assertion.trigger}' triggered ${describeCount(assertion.count)}${describeWindow(assertion)}`;
+        default:
+            return `Unknown assertion type '${assertion.type}'`;
+    }
+};
+
+// Returns a list of problems; an empty list means the scenario can run
+const validateScenario = (scenario) => {
+    const errors = [];
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) return ['Scenario must be an object.'];
+    if (!scenario.name || typeof scenario.name !== 'string') errors.push('Scenario needs a "name".');
+    if (!Array.isArray(scenario.pulses)) errors.push('"pulses" must be an array.');
+    else {
+        scenario.pulses.forEach((pulse, i) => {
+            if (!pulse || !pulse.channel) errors.push(`pulses[${i}] needs a "channel".`);
+            if (pulse && pulse.time !== undefined && typeof pulse.time !== 'number') errors.push(`pulses[${i}].time must be a number.`);
+        });
+    }
+    if (!Array.isArray(scenario.assertions)) errors.push('"assertions" must be an array.');
+    else {
+        scenario.assertions.forEach((assertion, i) => {
+            if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+                errors.push(`assertions[${i}].type must be one of ${ASSERTION_TYPES.join(', ')}.`);
+                return;
+            }
+            if (assertion.type === 'fired' && !assertion.channel) errors.push(`assertions[${i}] needs a "channel".`);
+            if (assertion.type !== 'fired' && !assertion.trigger) errors.push(`assertions[${i}] needs a "trigger".`);
+            if (assertion.type === 'state' && typeof assertion.active !== 'boolean') errors.push(`assertions[${i}].active must be true or false.`);
+            if (assertion.type !== 'state' && !Number.isInteger(assertion.count)) errors.push(`assertions[${i}].count must be a whole number.`);
+        });
+    }
+    return errors;
+};
+
+const inWindow = (time, { after, before }) => (after === undefined || time >= after) && (before === undefined || time < before);
+
+const evaluateAssertion = (engine, assertion) => {
+    const description = describeAssertion(assertion);
+    if (assertion.type === 'state') {
+        const states = assertion.at === undefined ? engine.getStates() : engine.getStatesAt(assertion.at);
+        if (!(assertion.trigger in states)) {
+            return { assertion, description, passed: false, actual: 'no such trigger' };
+        }
+        const actual = states[assertion.trigger];
+        return { assertion, description, passed: actual === assertion.active, actual: actual ? 'active' : 'inactive' };
+    }
+    const entries = assertion.type === 'fired'
+        ? engine.trace.pulses.filter(pulse => pulse.channel === assertion.channel)
+        : engine.trace.triggered.filter(entry => entry.id === assertion.trigger);
+    const count = entries.filter(entry => inWindow(entry.time, assertion)).length;
+    return { assertion, description, passed: count === assertion.count, actual: `${count} time${count === 1 ? '' : 's'}` };
+};
+
+// Runs a scenario from the engine's initial states. Pass a headless copy
+// (engine.clone()) to leave the original untouched.
+const runScenario = (engine, scenario) => {
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) throw new Error(`Invalid scenario: ${errors.join(' ')}`);
+    engine.reset();
+    scenario.pulses.forEach(pulse => engine.pulse(pulse.channel, pulse.time || 0));
+    engine.runToCompletion();
+    const results = scenario.assertions.map(assertion => evaluateAssertion(engine, assertion));
+    // A runaway loop fails the scenario unless it was marked as expected
+    const halts = engine.halts.slice();
+    return {
+        name: scenario.name,
+        passed: results.every(result => result.passed) && halts.every(halt => halt.expected),
+        results,
+        halts,
+        time: engine.time,
+        log: engine.log.slice(),
+    };
+};
+
+// --- Race detection ---
+// Runs a scenario under each ordering mode that only changes the order of same-tick events,
+// and random orders from several seeds, and reports each device whose final state depends on
+// the order. Gimkit mode also changes how a trigger handles a pulse, so it is compared on its
+// own against FIFO, which processes events in the same order. Returns
+// { name, runs: [{ ordering, passed }], races: [{ trigger, outcomes: [{ state, orderings }] }],
+//   gimkit: { passed, differences: [{ trigger, fifo, gimkit }] } }
+// where each ordering is { mode, seed } (see engine.js).
+const RACE_MODES = ['insertion', 'fifo'];
+const RACE_SEEDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Counters can end at different values while both inactive, so their value is compared
+const describeFinalState = (device) => (device.type === 'counter' ? `value ${device.value}` : device.state ? 'active' : 'inactive');
+
+const runWithOrdering = (engine, scenario, ordering) => {
+    const copy = engine.clone();
+    copy.setOrdering(ordering.mode, ordering.seed);
+    const report = runScenario(copy, scenario);
+    const finals = Object.fromEntries(Object.values(copy.triggers).map(device => [device.id, describeFinalState(device)]));
+    return { ordering: copy.ordering, passed: report.passed, finals };
+};
+
+const detectRaces = (engine, scenario, seeds = RACE_SEEDS) => {
+    const orderings = [
+        ...RACE_MODES.map(mode => ({ mode })),
+        ...seeds.map(seed => ({ mode: 'random', seed })),
+    ];
+    const runs = orderings.map(ordering => runWithOrdering(engine, scenario, ordering));
+    const races = Object.keys(runs[0].finals).map(id => {
+        const outcomes = new Map();
+        runs.forEach(run => {
+            const state = run.finals[id];
+            if (!outcomes.has(state)) outcomes.set(state, []);
+            outcomes.get(state).push(run.ordering);
+        });
+        return { trigger: id, outcomes: [...outcomes].map(([state, names]) => ({ state, orderings: names })) };
+    }).filter(race => race.outcomes.length > 1);
+
+    const fifo = runs.find(run => run.ordering.mode === 'fifo');
+    const gimkit = runWithOrdering(engine, scenario, { mode: 'gimkit' });
+    const differences = Object.keys(fifo.finals)
+        .filter(id => gimkit.finals[id] !== fifo.finals[id])
+        .map(id => ({ trigger: id, fifo: fifo.finals[id], gimkit: gimkit.finals[id] }));
+    return {
+        name: scenario.name,
+        runs: runs.map(({ ordering, passed }) => ({ ordering, passed })),
+        races,
+        gimkit: { passed: gimkit.passed, differences },
+    };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ASSERTION_TYPES, describeAssertion, validateScenario, evaluateAssertion, runScenario, RACE_SEEDS, detectRaces };
+}
@@ -0,0 +1,301 @@
+// --- Layout schema ---
+// Saved layouts carry a format version. Older files are migrated up to LAYOUT_VERSION one step
+// at a time, then checked field by field before anything is loaded:
+//   0: a bare array of trigger configs
+//   1: { triggers, scenarios, components, instances, inputs, settings }
+//   2: adds "version" and "meta": { name, description, view: { panX, panY, scale } }
+// Each problem is { path, severity: 'error' | 'warning', message, fix }. Errors stop the load;
+// warnings describe something that was repaired (a delay of "2" becomes 2) or left out.
+
+// The engine and scenario checks: globals in the browser, modules in Node
+const getSchemaDependencies = () => (typeof DEVICE_TYPES !== 'undefined'
+    ? { DEVICE_TYPES, INSTANCE_SEPARATOR, LAYOUT_VERSION, ORDERING_MODES, validateComponent, validateScenario }
+    : { ...require('./engine.js'), ...require('./scenario.js') });
+
+const LAYOUT_KEYS = ['version', 'meta', 'triggers', 'scenarios', 'components', 'instances', 'inputs', 'settings'];
+
+// Each step turns a layout of version N into version N + 1
+const LAYOUT_MIGRATIONS = {
+    0: (triggers) => ({ version: 1, triggers }),
+    1: (layout) => ({ ...layout, version: 2, meta: { name: '', description: '' } }),
+};
+
+const getLayoutVersion = (data) => {
+    if (Array.isArray(data)) return 0;
+    return data.version === undefined ? 1 : data.version;
+};
+
+const formatProblem = ({ path, message, fix }) => `${path ? `${path}: ` : ''}${message}${fix ? ` ${fix}` : ''}`;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// IDs, names and channels end up in the page, and a layout can come from anyone's share
+// link, so characters that could start markup are refused. Returns false if one was found.
+const MARKUP_CHARACTERS = /[<>&"']/;
+const checkName = (name, path, report) => {
+    const match = typeof name === 'string' && name.match(MARKUP_CHARACTERS);
+    if (match) report.error(path, `${JSON.stringify(name)} contains ${match[0]}, which IDs, names and channels can't use.`, 'Remove any < > & " or \' characters.');
+    return !match;
+};
+
+// Checks one device config, returning a repaired copy (or null if it can't be used)
+const checkDevice = (config, path, report, { needsPosition = true } = {}) => {
+    const { DEVICE_TYPES, INSTANCE_SEPARATOR } = getSchemaDependencies();
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        report.error(path, 'Each device must be an object.', 'Remove this entry or replace it with a device such as { "id": "T_1", "x": 0, "y": 0 }.');
+        return null;
+    }
+    const device = { ...config };
+    if (typeof device.id === 'number') {
+        device.id = String(device.id);
+        report.warning(`${path}.id`, `The ID ${config.id} is a number; it was read as '${device.id}'.`, 'Put IDs in quotes.');
+    }
+    if (!device.id || typeof device.id !== 'string') {
+        report.error(`${path}.id`, 'The device has no "id".', 'Add a unique "id", such as "T_1".');
+    } else if (device.id.includes(INSTANCE_SEPARATOR)) {
+        report.error(`${path}.id`, `'${device.id}' contains '${INSTANCE_SEPARATOR}', which is kept for devices inside component instances.`, `Rename it, for example to '${device.id.split(INSTANCE_SEPARATOR).join('_')}'.`);
+    } else {
+        checkName(device.id, `${path}.id`, report);
+    }
+
+    const type = device.type === undefined ? 'trigger' : device.type;
+    const DeviceClass = DEVICE_TYPES[type];
+    if (!DeviceClass) {
+        report.error(`${path}.type`, `Unknown device type '${type}'.`, `Use one of ${Object.keys(DEVICE_TYPES).join(', ')}.`);
+        return device;
+    }
+
+    DeviceClass.fields.forEach(field => {
+        const fieldPath = `${path}.${field.property}`;
+        const value = device[field.property];
+        if (value === undefined || value === null || value === '') return; // Defaults apply
+        if (field.type === 'number') {
+            if (typeof value === 'number' && Number.isFinite(value)) return;
+            const number = typeof value === 'string' ? Number(value.trim()) : NaN;
+            if (Number.isFinite(number)) {
+                device[field.property] = number;
+                report.warning(fieldPath, `${field.label} is the text "${value}"; it was read as ${number}.`, 'Save numbers without quotes.');
+            } else {
+                report.error(fieldPath, `${field.label} must be a number, not ${JSON.stringify(value)}.`, `Use a number, or leave it out for the default of ${field.defaultValue}.`);
+            }
+        } else if (field.type === 'channels') {
+            if (typeof value === 'string') checkName(value, fieldPath, report);
+            else if (Array.isArray(value) && value.every(channel => typeof channel === 'string')) value.forEach(channel => checkName(channel, fieldPath, report));
+            else report.error(fieldPath, `${field.label} must be a comma-separated list of channels.`, 'Use text such as "A_ON, RESET", or "" for none.');
+        } else if (typeof value !== 'string') {
+            report.error(fieldPath, `${field.label} must be one channel name.`, 'Use text such as "DONE", or null for none.');
+        } else {
+            checkName(value, fieldPath, report);
+        }
+    });
+
+    if (type === 'trigger' && device.initialState !== undefined && typeof device.initialState !== 'boolean') {
+        if (device.initialState === 'true' || device.initialState === 'false') {
+            device.initialState = device.initialState === 'true';
+            report.warning(`${path}.initialState`, `initialState is the text "${config.initialState}"; it was read as ${device.initialState}.`, 'Use true or false without quotes.');
+        } else {
+            report.error(`${path}.initialState`, 'initialState must be true or false.', 'Use true for a trigger that starts active, false otherwise.');
+        }
+    }
+
+    const unplaced = ['x', 'y'].filter(axis => {
+        if (isFiniteNumber(device[axis])) return false;
+        const number = typeof device[axis] === 'string' ? Number(device[axis].trim()) : NaN;
+        if (Number.isFinite(number)) {
+            device[axis] = number;
+            report.warning(`${path}.${axis}`, `${axis} is the text "${config[axis]}"; it was read as ${number}.`, 'Save positions as numbers.');
+            return false;
+        }
+        // Component devices default to the corner of their instance; others are placed by checkLayout()
+        device[axis] = needsPosition ? null : 0;
+        return true;
+    });
+    if (needsPosition && unplaced.length > 0) {
+        report.warning(path, `The device has no usable ${unplaced.join(' or ')} position, so it was placed below the layout.`, 'Give it numeric "x" and "y" values, or use Auto-arrange after loading.');
+    }
+
+    const known = new Set(['id', 'type', 'x', 'y', 'initialState', ...DeviceClass.fields.map(field => field.property)]);
+    Object.keys(device).filter(key => !known.has(key)).forEach(key => {
+        report.warning(`${path}.${key}`, `${DeviceClass.label}s have no '${key}' property; it is ignored.`, `Check the spelling against: ${[...known].join(', ')}.`);
+        delete device[key];
+    });
+    return device;
+};
+
+// Migrates and validates parsed layout JSON. Returns { layout, version, problems, ok } where
+// layout is the repaired, current-version layout (null if the data isn't a layout at all),
+// version is the format the data was in, and ok is false if any problem is an error.
+const checkLayout = (data) => {
+    const { INSTANCE_SEPARATOR, LAYOUT_VERSION, ORDERING_MODES, validateComponent, validateScenario } = getSchemaDependencies();
+    const problems = [];
+    const report = {
+        error: (path, message, fix) => problems.push({ path, severity: 'error', message, fix }),
+        warning: (path, message, fix) => problems.push({ path, severity: 'warning', message, fix }),
+    };
+    const result = (layout, version) => ({ layout, version, problems, ok: problems.every(problem => problem.severity !== 'error') });
+
+    if (!data || typeof data !== 'object') {
+        report.error('', 'A layout must be a JSON object (or an array of triggers).', 'Load a file saved with Save Layout.');
+        return result(null, null);
+    }
+    const version = getLayoutVersion(data);
+    if (!Number.isInteger(version) || version < 0) {
+        report.error('version', `Unknown layout version ${JSON.stringify(data.version)}.`, `Set "version" to ${LAYOUT_VERSION}.`);
+        return result(null, null);
+    }
+
+    let layout = data;
+    for (let step = version; step < LAYOUT_VERSION; step++) layout = LAYOUT_MIGRATIONS[step](layout);
+    layout = { ...layout };
+    if (version > LAYOUT_VERSION) {
+        // Newer files load as far as this version understands them
+        report.warning('version', `This layout was saved by a newer version of the simulator (format ${version}); it was read as format ${LAYOUT_VERSION}.`, 'Anything the newer format added is left out; saving writes the older format.');
+        layout.version = LAYOUT_VERSION;
+    }
+    Object.keys(layout).filter(key => !LAYOUT_KEYS.includes(key)).forEach(key => {
+        report.warning(key, `Unknown layout property '${key}' is ignored.`, `Layouts have ${LAYOUT_KEYS.join(', ')}.`);
+        delete layout[key];
+    });
+
+    const list = (key) => {
+        if (layout[key] === undefined) return [];
+        if (Array.isArray(layout[key])) return layout[key];
+        report.error(key, `"${key}" must be an array.`, `Use [] for a layout without ${key}.`);
+        return [];
+    };
+
+    // Metadata
+    const meta = layout.meta && typeof layout.meta === 'object' && !Array.isArray(layout.meta) ? layout.meta : {};
+    if (layout.meta !== undefined && meta !== layout.meta) report.warning('meta', '"meta" must be an object; it is ignored.', 'Use { "name": "...", "description": "..." }.');
+    layout.meta = { name: '', description: '' };
+    ['name', 'description'].forEach(key => {
+        if (meta[key] === undefined) return;
+        if (typeof meta[key] === 'string') layout.meta[key] = meta[key];
+        else report.warning(`meta.${key}`, `The layout ${key} must be text; it is ignored.`, `Put the ${key} in quotes.`);
+    });
+    if (meta.view !== undefined) {
+        const view = meta.view || {};
+        if (['panX', 'panY', 'scale'].every(key => isFiniteNumber(view[key])) && view.scale > 0) layout.meta.view = { panX: view.panX, panY: view.panY, scale: view.scale };
+        else report.warning('meta.view', 'The saved view needs numeric panX, panY and a positive scale; it is ignored.', 'Remove "view" or save the layout again.');
+    }
+
+    // Devices, with IDs unique across devices and instances
+    const seen = new Map(); // ID → path of its first use
+    const claim = (id, path) => {
+        if (typeof id !== 'string' || !id) return;
+        if (seen.has(id)) report.error(`${path}.id`, `The ID '${id}' is already used by ${seen.get(id)}.`, `Rename one of them, for example to '${id}_2'.`);
+        else seen.set(id, path);
+    };
+    layout.triggers = list('triggers').map((config, i) => {
+        const device = checkDevice(config, `triggers[${i}]`, report);
+        if (device) claim(device.id, `triggers[${i}]`);
+        return device;
+    }).filter(device => device);
+
+    // Devices without a position go in a row below everything else
+    const placed = layout.triggers.filter(device => device.x !== null && device.y !== null);
+    const bottom = placed.length > 0 ? Math.max(...placed.map(device => device.y)) + 200 : 0;
+    layout.triggers.filter(device => device.x === null || device.y === null).forEach((device, i) => {
+        if (device.x === null) device.x = i * 240;
+        if (device.y === null) device.y = bottom;
+    });
+
+    // Components and instances
+    layout.components = list('components').map((component, i) => {
+        const errors = validateComponent(component);
+        errors.forEach(message => report.error(`components[${i}]`, message, 'Fix the component, or remove it and any instances of it.'));
+        if (errors.length > 0) return null;
+        checkName(component.name, `components[${i}].name`, report);
+        ['inputs', 'outputs'].forEach(key => component[key].forEach(port => checkName(port, `components[${i}].${key}`, report)));
+        const triggers = component.triggers.map((config, j) => checkDevice(config, `components[${i}].triggers[${j}]`, report, { needsPosition: false }));
+        return { ...component, triggers };
+    }).filter(component => component);
+    const componentNames = new Set(layout.components.map(component => component.name));
+    layout.instances = list('instances').map((config, i) => {
+        const path = `instances[${i}]`;
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            report.error(path, 'Each instance must be an object.', 'Remove this entry.');
+            return null;
+        }
+        const instance = { ...config };
+        if (!instance.id || typeof instance.id !== 'string' || instance.id.includes(INSTANCE_SEPARATOR)) {
+            report.error(`${path}.id`, `The instance needs an "id" without '${INSTANCE_SEPARATOR}'.`, 'Add a unique "id", such as "L1".');
+        } else if (checkName(instance.id, `${path}.id`, report)) {
+            claim(instance.id, path);
+        }
+        if (instance.bindings && typeof instance.bindings === 'object') {
+            Object.entries(instance.bindings).forEach(([port, channel]) => checkName(channel, `${path}.bindings.${port}`, report));
+        }
+        if (!componentNames.has(instance.component)) {
+            report.error(`${path}.component`, `There is no component named ${JSON.stringify(instance.component)} in this layout.`, 'Add the component to "components", or remove the instance.');
+        }
+        ['x', 'y'].forEach(axis => {
+            if (instance[axis] === undefined || isFiniteNumber(instance[axis])) return;
+            report.warning(`${path}.${axis}`, `${axis} must be a number; it was set to 0.`, 'Save positions as numbers.');
+            instance[axis] = 0;
+        });
+        return instance;
+    }).filter(instance => instance);
+
+    // Scenarios still load with problems; running them reports the same list
+    layout.scenarios = list('scenarios').filter((scenario, i) => {
+        if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+            report.warning(`scenarios[${i}]`, 'Each scenario must be an object; this one was left out.', 'Remove this entry.');
+            return false;
+        }
+        validateScenario(scenario).forEach(message => report.warning(`scenarios[${i}]`, message, 'The scenario will not run until this is fixed.'));
+        return true;
+    });
+
+    layout.inputs = list('inputs').filter((input, i) => {
+        if (input && typeof input.name === 'string' && input.name && typeof input.channel === 'string' && input.channel) {
+            checkName(input.channel, `inputs[${i}].channel`, report);
+            return true;
+        }
+        report.warning(`inputs[${i}]`, 'An input button needs a "name" and a "channel"; it was left out.', 'Add both, for example { "name": "Start", "channel": "START" }.');
+        return false;
+    });
+
+    // Settings fall back to their defaults
+    const settings = layout.settings === undefined ? {} : layout.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        report.warning('settings', '"settings" must be an object; the defaults are used.', 'Remove it or save the layout again.');
+        layout.settings = {};
+    } else {
+        layout.settings = { ...settings };
+        ['maxEvents', 'maxTime'].forEach(key => {
+            if (settings[key] === undefined || (Number.isInteger(settings[key]) && settings[key] > 0)) return;
+            report.warning(`settings.${key}`, `${key} must be a whole number above 0; the default is used.`, 'Set it from the Debugger section.');
+            delete layout.settings[key];
+        });
+        if (settings.expectedLoops !== undefined && !(Array.isArray(settings.expectedLoops) && settings.expectedLoops.every(Array.isArray))) {
+            report.warning('settings.expectedLoops', 'expectedLoops must be a list of channel lists; it is ignored.', 'Mark loops as expected again after loading.');
+            delete layout.settings.expectedLoops;
+        }
+        if (settings.ordering !== undefined && !(settings.ordering && ORDERING_MODES[settings.ordering.mode])) {
+            report.warning('settings.ordering.mode', `Unknown same-tick ordering ${JSON.stringify(settings.ordering && settings.ordering.mode)}; the default is used.`, `Use one of ${Object.keys(ORDERING_MODES).join(', ')}.`);
+            delete layout.settings.ordering;
+        }
+    }
+    return result(layout, version);
+};
+
+// Parses and checks the text of a layout file
+const readLayoutText = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return {
+            layout: null,
+            version: null,
+            problems: [{ path: '', severity: 'error', message: `The file is not valid JSON (${e.message}).`, fix: 'Look for a missing comma, quote or bracket.' }],
+            ok: false,
+        };
+    }
+    return checkLayout(data);
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LAYOUT_MIGRATIONS, checkLayout, readLayoutText, formatProblem };
+}
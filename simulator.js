@@ -1,149 +1,298 @@
-// --- Helper function to parse channel strings ---
-const parseChannels = (channelString) => {
-    if (!channelString || typeof channelString !== 'string') return [];
-    return channelString.split(',').map(c => c.trim()).filter(c => c);
+// Delay between events for each position of the speed slider; 0 runs instantly
+const SPEED_STEPS = [
+    { label: '0.5x', delay: 1400 },
+    { label: '1x', delay: 700 },
+    { label: '2x', delay: 350 },
+    { label: '5x', delay: 140 },
+    { label: 'Instant', delay: 0 },
+];
+// Wire styling per input category, matching the colors used on the device cards
+const WIRE_STYLES = {
+    activate: { className: 'activate', text: 'text-emerald-300', anchor: 0.35 },
+    deactivate: { className: 'deactivate', text: 'text-red-300', anchor: 0.5 },
+    trigger: { className: 'trigger', text: 'text-amber-300', anchor: 0.65 },
+    control: { className: 'control', text: 'text-violet-300', anchor: 0.8 },
 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Events processed per tick in instant mode, so the page stays responsive
+const INSTANT_BATCH_SIZE = 200;
+// Rows in the memory panel's most-expensive list
+const MEMORY_TOP_ITEMS = 5;
+// Undo steps kept
+const HISTORY_LIMIT = 100;
+// Zoom limits, and the space left around the layout by Fit to View
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 3;
+const FIT_MARGIN = 40;
+// Screen pixels around the canvas within which cards and wires are kept on the page
+const VIEWPORT_MARGIN = 200;
+// Spacing of the snap-to-grid positions, and how far each paste lands from the copied devices
+const GRID_SIZE = 20;
+const PASTE_OFFSET = 40;
+// Align commands: the axis each moves along, and the point of each device's box that lines up
+// (0 = left/top edge, 0.5 = center, 1 = right/bottom edge)
+const ALIGN_MODES = {
+    left: { axis: 'x', anchor: 0 },
+    center: { axis: 'x', anchor: 0.5 },
+    right: { axis: 'x', anchor: 1 },
+    top: { axis: 'y', anchor: 0 },
+    middle: { axis: 'y', anchor: 0.5 },
+    bottom: { axis: 'y', anchor: 1 },
+};
+const FIELD_INPUT_CLASS = 'w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2';
 
-class Trigger {
+// Adds the canvas card to a device class from engine.js. The card is built from
+// the class's field schema; each type gets its own look from its device-<type> class.
+// Cards are built once; updateUI() only marks one for redrawing, and the simulator draws
+// the marked cards that are in view once per frame (see flushRender).
+const withCanvas = (DeviceClass) => class extends DeviceClass {
     constructor(config) {
-        this.id = config.id;
-        this.delay = config.delay || 0;
-        this.activateOn = parseChannels(config.activateOn);
-        this.deactivateOn = parseChannels(config.deactivateOn);
-        this.triggerOn = parseChannels(config.triggerOn);
-        this.whenTriggered = config.whenTriggered || null;
-        
-        this.initialState = config.initialState || false;
-        this.state = this.initialState;
-        
-        this.x = config.x;
-        this.y = config.y;
-
+        super(config);
+        this.previewState = null; // Earlier state shown while scrubbing the timeline
+        this.size = null; // Measured { width, height } of the card, once it has been on the page
+        this.renderedFields = null;
         this.element = this.createElement();
-        this.updateUI();
+        this.render();
     }
 
+    // The card starts off the page; the simulator adds it when it is in view
     createElement() {
         const div = document.createElement('div');
         div.id = `trigger-${this.id}`;
-        div.className = 'trigger p-3 rounded-lg border-2 flex flex-col';
-        document.getElementById('zoom-container').appendChild(div);
+        div.className = `trigger device-${this.type} p-3 rounded-lg border-2 flex flex-col`;
+        const toggleable = this.constructor.toggleable;
+        div.innerHTML = `
+            <div class="font-bold text-lg text-center"></div>
+            <div class="device-label text-[10px] uppercase tracking-wider text-center">${this.constructor.label}</div>
+            <div class="device-status text-xs mt-1 font-mono"></div>
+            <div class="device-fields"></div>
+            <div class="grid ${toggleable ? 'grid-cols-2' : 'grid-cols-1'} gap-2 mt-2">
+                ${toggleable ? '<button class="action-btn toggle-state-btn py-1 text-xs bg-gray-500 hover:bg-gray-400 rounded">Toggle State</button>' : ''}
+                <button class="action-btn manual-trigger-btn py-1 text-xs bg-amber-600 hover:bg-amber-500 rounded">Trigger</button>
+            </div>
+        `;
+        div.firstElementChild.textContent = this.id;
+        this.statusElement = div.querySelector('.device-status');
+        this.fieldsElement = div.querySelector('.device-fields');
 
         div.addEventListener('click', (e) => {
             e.stopPropagation();
-            simulator.selectTrigger(this);
+            if (simulator.ignoreNextClick) return; // The end of a group drag
+            if (e.shiftKey) simulator.toggleSelection(this);
+            else simulator.selectTrigger(this);
         });
         div.addEventListener('mousedown', (e) => {
             e.stopPropagation();
             simulator.startDrag(e, this);
         });
+        if (toggleable) {
+            div.querySelector('.toggle-state-btn').addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent selection when toggling
+                if (simulator.isSimulating) return;
+                this.state = !this.state;
+                this.initialState = this.state; // Update initial state for resets
+                this.updateUI();
+                simulator.recordState(this);
+                simulator.timeline.requestRender();
+                simulator.logEvent(`Manually toggled '${this.id}' to ${this.state ? 'Active' : 'Inactive'}.`);
+                simulator.recordHistory(`Toggle '${this.id}'`);
+            });
+        }
+        div.querySelector('.manual-trigger-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            simulator.manuallyTrigger(this.id);
+        });
         return div;
     }
 
-    handlePulse(channel, eventQueue, currentTime) {
-        let handled = false;
-        if (channel && this.activateOn.includes(channel)) {
-            this.state = true;
-            simulator.logEvent(`T=${currentTime}: '${this.id}' ACTIVATED by channel '${channel}'.`);
-            this.updateUI();
-            handled = true;
-        }
-        if (channel && this.deactivateOn.includes(channel)) {
-            this.state = false;
-            simulator.logEvent(`T=${currentTime}: '${this.id}' DEACTIVATED by channel '${channel}'.`);
-            this.updateUI();
-            handled = true;
-        }
-        if (channel && this.triggerOn.includes(channel) && this.state) {
-            simulator.logEvent(`T=${currentTime}: '${this.id}' TRIGGERED by channel '${channel}'.`);
-            if (this.whenTriggered) {
-                const fireTime = currentTime + this.delay;
-                simulator.logEvent(`  - Scheduling pulse on '${this.whenTriggered}' at T=${fireTime}`);
-                eventQueue.push({ time: fireTime, channel: this.whenTriggered, sourceId: this.id });
-            }
-            handled = true;
-        }
-        return handled;
+    // Card lines for the fields: numbers one per line, channels in a grid colored like their wires
+    renderFields() {
+        const { fields, inputs } = this.constructor;
+        const numbers = fields.filter(field => field.type === 'number')
+            .map(field => `<div class="text-xs mt-1 font-mono">${field.short}: ${escapeHtml(this[field.property])}</div>`);
+        const channels = fields.filter(field => field.type !== 'number').map(field => {
+            const input = inputs.find(candidate => candidate.property === field.property);
+            const color = input ? WIRE_STYLES[input.wire].text : 'text-sky-300';
+            const value = field.type === 'channels' ? this[field.property].join(', ') : this[field.property];
+            return `<span>${field.short}:</span> <span class="${color}">${value ? escapeHtml(value) : 'N/A'}</span>`;
+        });
+        return `${numbers.join('')}<div class="text-xs mt-2 grid grid-cols-2 gap-x-2">${channels.join('')}</div>`;
     }
 
     updateUI() {
-        if (!this.element) return;
+        this.needsRender = true;
+        simulator.requestRender(this);
+    }
+
+    // Writes the current position, state and fields to the card, touching only what changed
+    render() {
+        this.needsRender = false;
         this.element.style.left = `${this.x}px`;
         this.element.style.top = `${this.y}px`;
-        this.element.classList.toggle('active', this.state);
-        this.element.classList.toggle('inactive', !this.state);
-        this.element.innerHTML = `
-            <div class="font-bold text-lg text-center">${this.id}</div>
-            <div class="text-xs mt-1 font-mono">State: ${this.state ? 'ACTIVE' : 'INACTIVE'}</div>
-            <div class="text-xs mt-1 font-mono">Delay: ${this.delay}</div>
-            <div class="text-xs mt-2 grid grid-cols-2 gap-x-2">
-                <span>Act on:</span> <span class="text-emerald-300">${this.activateOn.join(', ') || 'N/A'}</span>
-                <span>Deact on:</span> <span class="text-red-300">${this.deactivateOn.join(', ') || 'N/A'}</span>
-                <span>Trig on:</span> <span class="text-amber-300">${this.triggerOn.join(', ') || 'N/A'}</span>
-                <span>Fires:</span> <span class="text-sky-300">${this.whenTriggered || 'N/A'}</span>
-            </div>
-            <div class="grid grid-cols-2 gap-2 mt-2">
-                <button class="action-btn toggle-state-btn py-1 text-xs bg-gray-500 hover:bg-gray-400 rounded">Toggle State</button>
-                <button class="action-btn manual-trigger-btn py-1 text-xs bg-amber-600 hover:bg-amber-500 rounded">Trigger</button>
-            </div>
-        `;
-        // Add event listeners to the new buttons
-        this.element.querySelector('.toggle-state-btn').addEventListener('click', (e) => {
-            e.stopPropagation(); // Prevent selection when toggling
-            if (simulator.isSimulating) return;
-            this.state = !this.state;
-            this.initialState = this.state; // Update initial state for resets
-            this.updateUI();
-            simulator.logEvent(`Manually toggled '${this.id}' to ${this.state ? 'Active' : 'Inactive'}.`);
-        });
-        this.element.querySelector('.manual-trigger-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            simulator.manuallyTrigger(this.id);
-        });
+        const shownState = this.previewState === null ? this.state : this.previewState;
+        this.element.classList.toggle('active', shownState);
+        this.element.classList.toggle('inactive', !shownState);
+        this.element.classList.toggle('previewing', this.previewState !== null);
+        const status = this.getStatusText(shownState);
+        this.statusElement.classList.toggle('hidden', !status);
+        if (this.statusElement.textContent !== (status || '')) this.statusElement.textContent = status || '';
+        const fields = this.renderFields();
+        if (fields !== this.renderedFields) {
+            this.fieldsElement.innerHTML = fields;
+            this.renderedFields = fields;
+        }
     }
     
-    reset() {
-        this.state = this.initialState;
-        this.updateUI();
-    }
-
     flash(type) {
         const className = type === 'fire' ? 'pulsing-fire' : 'pulsing-listen';
         this.element.classList.add(className);
         setTimeout(() => this.element.classList.remove(className), 700);
     }
+};
 
-    // For saving the layout
-    serialize() {
-        return {
-            id: this.id,
-            delay: this.delay,
-            activateOn: this.activateOn.join(', '),
-            deactivateOn: this.deactivateOn.join(', '),
-            triggerOn: this.triggerOn.join(', '),
-            whenTriggered: this.whenTriggered,
-            initialState: this.initialState,
-            x: this.x,
-            y: this.y,
-        };
+// Browser classes for each device type, used in place of DEVICE_TYPES
+const DEVICE_VIEWS = Object.fromEntries(
+    Object.entries(DEVICE_TYPES).map(([type, DeviceClass]) => [type, withCanvas(DeviceClass)]),
+);
+
+// IDs, channels and names come from layouts, and a layout can come from anyone's share link,
+// so they are escaped before going into HTML
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// A form input for one field, tagged with data-property
+const renderFieldInput = (field, value, placeholder = field.label) => {
+    if (Array.isArray(value)) value = value.join(', ');
+    const type = field.type === 'number' ? 'number' : 'text';
+    const hint = field.type === 'channels' ? ' (A, B, ...)' : '';
+    return `<div><label class="text-sm">${field.label}</label><input type="${type}" data-property="${field.property}" class="${FIELD_INPUT_CLASS}" placeholder="${escapeHtml(placeholder)}${hint}" value="${escapeHtml(value ?? '')}"></div>`;
+};
+
+// Form inputs for a device class's fields
+const renderFieldInputs = (DeviceClass, device = null) => DeviceClass.fields
+    .map(field => renderFieldInput(field, device ? device[field.property] : field.defaultValue))
+    .join('');
+
+// Input panel keys are stored lowercased, so Shift doesn't change which button a letter presses
+const normalizeInputKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+// Keys the canvas shortcuts already use
+const RESERVED_INPUT_KEYS = ['Delete', 'Backspace', 'Escape'];
+
+// Offers text as a file download
+const downloadFile = (filename, text, type) => {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+// Log entries as CSV, one row per entry
+const LOG_CSV_COLUMNS = ['id', 'time', 'action', 'channel', 'sourceId', 'target', 'parent', 'message'];
+const toCsvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const logToCsv = (entries) => [
+    LOG_CSV_COLUMNS.join(','),
+    ...entries.map(entry => LOG_CSV_COLUMNS.map(column => toCsvField(entry[column])).join(',')),
+].join('\n');
+
+// Components saved in the browser for use across layouts
+const COMPONENT_LIBRARY_KEY = 'trigger-simulator.components';
+
+const loadComponentLibrary = () => {
+    try {
+        return JSON.parse(localStorage.getItem(COMPONENT_LIBRARY_KEY)) || {};
+    } catch (error) {
+        return {};
     }
-}
+};
+
+const saveComponentLibrary = (library) => localStorage.setItem(COMPONENT_LIBRARY_KEY, JSON.stringify(library));
+
+// Projects saved in the browser: an index of { id: { name, updated } }, with each layout under its own key
+const PROJECT_INDEX_KEY = 'trigger-simulator.projects';
+const CURRENT_PROJECT_KEY = 'trigger-simulator.current-project';
+const AUTOSAVE_DELAY = 1000; // Milliseconds after the last change
+const getProjectKey = (id) => `trigger-simulator.project.${id}`;
+
+const loadProjectIndex = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PROJECT_INDEX_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
 
-class Simulator {
+const saveProjectIndex = (index) => localStorage.setItem(PROJECT_INDEX_KEY, JSON.stringify(index));
+
+// Share links carry the whole layout in the URL fragment, deflated and base64url-encoded
+const SHARE_PREFIX = '#layout=';
+
+const encodeShareFragment = async (layoutData) => {
+    const stream = new Blob([JSON.stringify(layoutData)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return SHARE_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Returns the layout JSON text; throws if the fragment was cut short or changed
+const decodeShareFragment = async (fragment) => {
+    const binary = atob(fragment.slice(SHARE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+};
+
+// "S=SET_A, R=RESET_A" → { S: 'SET_A', R: 'RESET_A' }
+const parseBindings = (text) => Object.fromEntries((text || '').split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([port, channel]) => port && channel));
+
+class Simulator extends Engine {
     constructor() {
-        this.triggers = {};
-        this.eventQueue = [];
-        this.time = 0;
+        super();
         this.isSimulating = false;
         this.selectedTrigger = null;
         this.activeTimeouts = []; // To track all scheduled events
+
+        // Debugger state
+        this.isPaused = false;
+        this.pendingEvent = null; // Dequeued event waiting for its delay to finish
+        this.stepDelay = SPEED_STEPS[1].delay;
+        this.breakpoints = new Set();
+        this.replayQueue = []; // Channels still to pulse when replaying an explored sequence
         
         // UI Elements
         this.logOutput = document.getElementById('log-output');
+        this.logCause = document.getElementById('log-cause');
+        this.logFilter = { device: '', channel: '', action: '', search: '' };
         this.canvas = document.getElementById('simulationCanvas');
         this.zoomContainer = document.getElementById('zoom-container');
+        this.wireLayer = document.getElementById('wire-layer');
         this.editPanel = document.getElementById('edit-panel');
         this.editForm = document.getElementById('edit-trigger-form');
+        this.pauseButton = document.getElementById('pause-button');
+        this.breakpointList = document.getElementById('breakpoint-list');
+        this.eventQueuePanel = document.getElementById('event-queue-panel');
+        this.eventQueueList = document.getElementById('event-queue-list');
+        this.loopReport = document.getElementById('loop-report');
+        this.expectedLoopList = document.getElementById('expected-loop-list');
+        this.scenarioSelect = document.getElementById('scenario-select');
+        this.scenarioEditor = document.getElementById('scenario-editor');
+        this.scenarioResults = document.getElementById('scenario-results');
+        this.analysisResults = document.getElementById('analysis-results');
+        this.exploreResults = document.getElementById('explore-results');
+        this.layoutProblems = document.getElementById('layout-problems');
+        this.componentSelect = document.getElementById('component-select');
+        this.inputPanel = document.getElementById('input-panel');
+        this.pasteRenamesInput = document.getElementById('paste-renames');
 
         // Pan and Zoom state
         this.scale = 1;
@@ -155,10 +304,47 @@ class Simulator {
         
         // Dragging Triggers
         this.draggedTrigger = null;
+        this.draggedInstance = null;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
+        this.dragOrigins = new Map(); // Start positions of the devices moving with the dragged one
+        this.dragStart = null;
+        this.ignoreNextClick = false; // Set after a group drag or box selection so the click doesn't reselect
+
+        // Multi-selection, copy and paste
+        this.selection = new Set(); // IDs of the selected devices
+        this.selectionBox = null; // { x, y, element } while shift+dragging on the canvas
+        this.snapToGrid = false;
+        this.clipboard = null; // Serialized devices
+        this.pasteCount = 0;
+
+        // Connections drawn on the canvas, as { from, to, channel, kind, wire, path }
+        this.wires = [];
+        this.wiresFrom = new Map(); // The same wires by source device ID
+
+        // Batched rendering: cards marked by updateUI() and whether the view moved since the last frame
+        this.dirtyDevices = new Set();
+        this.renderFrame = null;
+        this.viewportChanged = false;
+
+        // Components
+        this.instanceElements = {}; // Instance blocks by instance ID
+
+        this.timeline = new Timeline(this, document.getElementById('timeline-panel'), document.getElementById('timeline-cursor-label'));
 
         this.setupListeners();
+        this.renderScenarioList();
+        this.renderLimits();
+        this.renderMemoryCosts();
+        this.renderComponentList();
+        this.renderSelection();
+        this.renderInputs();
+
+        this.isRestoring = false; // Set while undo/redo rebuilds the layout
+        this.isLoading = false; // Set while a whole layout is added, so wires and memory are drawn once at the end
+        this.projectId = null; // The browser project autosaves go to
+        this.autosaveTimer = null;
+        this.resetHistory('Empty layout');
     }
     
     setupListeners() {
@@ -167,8 +353,37 @@ class Simulator {
         window.addEventListener('mousemove', (e) => this.handlePanMove(e));
         window.addEventListener('mouseup', (e) => this.handlePanEnd(e));
         window.addEventListener('keydown', (e) => { if (e.code === 'Space') this.canvas.classList.add('panning'); });
+        window.addEventListener('keydown', (e) => this.handleShortcut(e));
         window.addEventListener('keyup', (e) => { if (e.code === 'Space') this.canvas.classList.remove('panning'); });
-        this.canvas.addEventListener('click', () => this.selectTrigger(null));
+        window.addEventListener('resize', () => this.requestViewportUpdate());
+        this.canvas.addEventListener('click', () => {
+            if (!this.ignoreNextClick) this.selectTrigger(null);
+        });
+    }
+
+    // Text fields keep their own shortcuts (including undo)
+    handleShortcut(e) {
+        if (e.target instanceof Element && e.target.matches('input, textarea, select')) return;
+        const key = e.key.toLowerCase();
+        const hasSelection = this.selection.size > 0;
+        if (e.ctrlKey || e.metaKey) {
+            if (key === 'z' && !e.shiftKey) this.undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y') this.redo();
+            else if (key === 'c' && hasSelection) this.copySelection();
+            else if (key === 'v' && this.clipboard) this.pasteClipboard();
+            else if (key === 'd' && hasSelection) this.duplicateSelection();
+            else if (key === 'a') this.selectAll();
+            else return;
+        } else if (!e.altKey && !e.repeat && this.findInputByKey(e.key)) {
+            this.pressInput(this.findInputByKey(e.key));
+        } else if ((key === 'delete' || key === 'backspace') && hasSelection) {
+            this.deleteSelection();
+        } else if (key === 'escape') {
+            this.selectTrigger(null);
+        } else {
+            return;
+        }
+        e.preventDefault();
     }
 
     // --- Pan and Zoom ---
@@ -177,11 +392,16 @@ class Simulator {
         const zoomIntensity = 0.1;
         const delta = e.deltaY > 0 ? -1 : 1;
         const newScale = this.scale + delta * zoomIntensity;
-        this.scale = Math.max(0.2, Math.min(newScale, 3));
+        this.scale = Math.max(MIN_SCALE, Math.min(newScale, MAX_SCALE));
         this.updateTransform();
     }
 
     handlePanStart(e) {
+        this.ignoreNextClick = false;
+        if (e.shiftKey && e.button === 0 && (e.target === this.canvas || e.target === this.zoomContainer)) {
+            this.startBoxSelection(e);
+            return;
+        }
         if (e.code === 'Space' || e.buttons === 4 || e.target.id === 'simulationCanvas') { // Spacebar, Middle mouse, or direct canvas click
             this.isPanning = true;
             this.panStartX = e.clientX - this.panX;
@@ -195,8 +415,10 @@ class Simulator {
             this.panX = e.clientX - this.panStartX;
             this.panY = e.clientY - this.panStartY;
             this.updateTransform();
-        } else if(this.draggedTrigger) {
+        } else if(this.draggedTrigger || this.draggedInstance) {
             this.dragTrigger(e);
+        } else if (this.selectionBox) {
+            this.updateBoxSelection(e);
         }
     }
 
@@ -204,299 +426,2378 @@ class Simulator {
         this.isPanning = false;
         this.canvas.classList.remove('panning');
         this.endDrag();
+        this.endBoxSelection();
     }
 
     updateTransform() {
         this.zoomContainer.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.scale})`;
+        this.requestViewportUpdate();
+        this.scheduleAutosave(); // The view is saved with the project
+    }
+
+    // --- Rendering ---
+    // DOM updates are batched into one per frame, and only cards and wires in (or near) the
+    // visible part of the canvas are on the page, so large layouts stay smooth.
+    requestRender(device) {
+        this.dirtyDevices.add(device);
+        this.requestFrame();
+    }
+
+    requestViewportUpdate() {
+        this.viewportChanged = true;
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.renderFrame !== null) return;
+        this.renderFrame = requestAnimationFrame(() => this.flushRender());
+    }
+
+    flushRender() {
+        this.renderFrame = null;
+        const shown = new Set(this.viewportChanged ? this.cullDevices() : []);
+        const instances = new Set();
+        const drawn = [...shown];
+        this.dirtyDevices.forEach(device => {
+            if (device.instance) instances.add(device.instance);
+            if (!device.element.isConnected || shown.has(device)) return; // Drawn once it comes into view
+            device.render();
+            drawn.push(device);
+        });
+        this.dirtyDevices.clear();
+        // Measured after all the writes, so the browser lays out once
+        const resized = drawn.filter(device => this.measureDevice(device));
+        instances.forEach(id => this.renderInstance(id));
+        if (this.viewportChanged || resized.length > 0) this.layoutWires();
+        this.viewportChanged = false;
+    }
+
+    // Records a card's size; returns true if it changed
+    measureDevice(device) {
+        const width = device.element.offsetWidth;
+        const height = device.element.offsetHeight;
+        if (!width || !height || (device.size && device.size.width === width && device.size.height === height)) return false;
+        device.size = { width, height };
+        return true;
+    }
+
+    // A card's size from when it was last on the page, or the usual size before that
+    getDeviceSize(device) {
+        return device.size || DEFAULT_NODE_SIZE;
+    }
+
+    // The visible part of the canvas plus a margin, in canvas coordinates; null before the page is laid out
+    getViewport() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) return null;
+        return {
+            left: (-this.panX - VIEWPORT_MARGIN) / this.scale,
+            top: (-this.panY - VIEWPORT_MARGIN) / this.scale,
+            right: (width - this.panX + VIEWPORT_MARGIN) / this.scale,
+            bottom: (height - this.panY + VIEWPORT_MARGIN) / this.scale,
+        };
+    }
+
+    isInView(box, view) {
+        return !view || (box.x < view.right && box.x + box.width > view.left && box.y < view.bottom && box.y + box.height > view.top);
+    }
+
+    // Adds the cards in view to the page and takes the others off; returns the ones added, already drawn
+    cullDevices() {
+        const view = this.getViewport();
+        const shown = [];
+        Object.values(this.triggers).forEach(device => {
+            const visible = this.isInView(this.getDeviceBox(device), view) || this.dragOrigins.has(device);
+            if (visible && !device.element.isConnected) {
+                if (device.needsRender) device.render();
+                this.zoomContainer.appendChild(device.element);
+                shown.push(device);
+            } else if (!visible && device.element.isConnected) {
+                device.element.remove();
+            }
+        });
+        return shown;
     }
 
     // --- Trigger Dragging ---
     startDrag(event, trigger) {
         if(this.isPanning) return;
+        this.ignoreNextClick = false;
+        // Devices inside a component instance move with it
+        if (trigger.instance) {
+            this.startInstanceDrag(event, trigger.instance);
+            return;
+        }
         this.draggedTrigger = trigger;
-        const rect = trigger.element.getBoundingClientRect();
-        this.dragOffsetX = (event.clientX - rect.left) / this.scale;
-        this.dragOffsetY = (event.clientY - rect.top) / this.scale;
+        this.dragMoved = false;
+        // Dragging one of the selected devices moves the whole selection
+        const group = this.selection.has(trigger.id) ? this.getSelectedDevices() : [trigger];
+        this.dragOrigins = new Map(group.map(device => [device, { x: device.x, y: device.y }]));
+        this.dragStart = this.toCanvasPoint(event);
+    }
+
+    startInstanceDrag(event, id) {
+        if (this.isPanning) return;
+        this.ignoreNextClick = false;
+        const instance = this.instances[id];
+        const point = this.toCanvasPoint(event);
+        this.draggedInstance = instance;
+        this.dragMoved = false;
+        this.dragOffsetX = point.x - instance.x;
+        this.dragOffsetY = point.y - instance.y;
+    }
+
+    // Mouse position in canvas coordinates
+    toCanvasPoint(event) {
+        const canvasRect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - canvasRect.left) / this.scale - (this.panX / this.scale),
+            y: (event.clientY - canvasRect.top) / this.scale - (this.panY / this.scale),
+        };
     }
 
     dragTrigger(event) {
-        if (this.draggedTrigger) {
+        if (this.draggedInstance) {
             event.preventDefault();
-            const canvasRect = this.canvas.getBoundingClientRect();
-            let x = (event.clientX - canvasRect.left) / this.scale - this.dragOffsetX - (this.panX / this.scale);
-            let y = (event.clientY - canvasRect.top) / this.scale - this.dragOffsetY - (this.panY / this.scale);
-            
-            this.draggedTrigger.x = x;
-            this.draggedTrigger.y = y;
-            this.draggedTrigger.updateUI();
+            const point = this.toCanvasPoint(event);
+            this.moveInstance(this.draggedInstance.id, this.snap(point.x - this.dragOffsetX), this.snap(point.y - this.dragOffsetY));
+            this.dragMoved = true;
+        } else if (this.draggedTrigger) {
+            event.preventDefault();
+            const point = this.toCanvasPoint(event);
+            // The grabbed device snaps to the grid; the others keep their offsets from it
+            const origin = this.dragOrigins.get(this.draggedTrigger);
+            const dx = this.snap(origin.x + point.x - this.dragStart.x) - origin.x;
+            const dy = this.snap(origin.y + point.y - this.dragStart.y) - origin.y;
+            this.dragOrigins.forEach((start, device) => {
+                device.x = start.x + dx;
+                device.y = start.y + dy;
+                device.updateUI();
+            });
+            this.dragMoved = true;
+            this.layoutWires();
         }
     }
 
+    // A whole drag is one undo step
     endDrag() {
+        if (this.dragMoved) {
+            const count = this.draggedInstance ? 1 : this.dragOrigins.size;
+            const target = this.draggedInstance || this.draggedTrigger;
+            this.recordHistory(count > 1 ? `Move ${count} devices` : `Move '${target.id}'`);
+            this.ignoreNextClick = count > 1;
+        }
+        this.dragMoved = false;
+        this.dragOrigins = new Map();
         this.draggedTrigger = null;
+        this.draggedInstance = null;
+    }
+
+    // --- Wires ---
+    // Rebuilds one SVG path per connection; call after triggers or their channels change
+    renderWires() {
+        this.wires.forEach(wire => wire.path.remove());
+        this.wires = this.getConnections().map(connection => {
+            const path = document.createElementNS(SVG_NS, 'path');
+            const { className } = WIRE_STYLES[connection.wire];
+            path.setAttribute('class', `wire ${className}`);
+            path.setAttribute('marker-end', `url(#wire-arrow-${className})`);
+            return { ...connection, path, d: null };
+        });
+        this.wiresFrom = new Map();
+        this.wires.forEach(wire => {
+            if (!this.wiresFrom.has(wire.from)) this.wiresFrom.set(wire.from, []);
+            this.wiresFrom.get(wire.from).push(wire);
+        });
+        this.layoutWires();
+    }
+
+    // Recomputes wire geometry from the current trigger positions. Only wires that pass
+    // through the view are on the page.
+    layoutWires() {
+        const view = this.getViewport();
+        this.wires.forEach(wire => {
+            const source = this.getWireEnd(wire.from);
+            const target = this.getWireEnd(wire.to);
+            const x1 = source.x + source.width;
+            const y1 = source.y + source.height / 2;
+            const x2 = target.x;
+            const y2 = target.y + target.height * WIRE_STYLES[wire.wire].anchor;
+            // Wires that run backwards (or loop onto their own trigger) bow out further
+            const bend = Math.max(60, Math.abs(x2 - x1) / 2);
+            const drop = x2 < x1 ? Math.max(80, source.height) : 0;
+            const left = Math.min(x1, x2 - bend);
+            const top = Math.min(y1, y2);
+            const bounds = { x: left, y: top, width: Math.max(x2, x1 + bend) - left, height: Math.max(y1, y2) + drop - top };
+            if (!this.isInView(bounds, view)) {
+                wire.path.remove();
+                return;
+            }
+            // Wires inside a collapsed instance are hidden with it
+            wire.path.classList.toggle('hidden', source.instance !== null && source.instance === target.instance);
+            const d = `M ${x1} ${y1} C ${x1 + bend} ${y1 + drop}, ${x2 - bend} ${y2 + drop}, ${x2} ${y2}`;
+            if (d !== wire.d) {
+                wire.path.setAttribute('d', d);
+                wire.d = d;
+            }
+            if (!wire.path.isConnected) this.wireLayer.appendChild(wire.path);
+        });
+    }
+
+    // The box a wire attaches to: the device, or its instance's block while collapsed
+    getWireEnd(id) {
+        const device = this.triggers[id];
+        const instance = device.instance && this.instances[device.instance];
+        if (instance && !instance.expanded && this.instanceElements[instance.id]) {
+            const element = this.instanceElements[instance.id];
+            return { x: instance.x, y: instance.y, width: element.offsetWidth, height: element.offsetHeight, instance: instance.id };
+        }
+        return { ...this.getDeviceBox(device), instance: null };
+    }
+
+    // Highlights the wires a pulse travels along
+    animateWires(sourceId, channel) {
+        (this.wiresFrom.get(sourceId) || []).forEach(wire => {
+            if (wire.channel !== channel || !wire.path.isConnected) return;
+            wire.path.classList.remove('pulsing');
+            // Force a reflow so the animation restarts on back-to-back pulses
+            void wire.path.getBoundingClientRect();
+            wire.path.classList.add('pulsing');
+            setTimeout(() => wire.path.classList.remove('pulsing'), 700);
+        });
     }
 
     // --- Core Simulation ---
+    getDeviceClass(type) {
+        return DEVICE_VIEWS[type];
+    }
+
     addTrigger(config) {
-        if (!config.id || this.triggers[config.id]) {
-            alert('Invalid or duplicate trigger ID.');
+        try {
+            const trigger = super.addTrigger(config);
+            this.requestViewportUpdate(); // Puts the card on the page if it is in view
+            if (this.isLoading) return trigger;
+            this.renderWires();
+            this.renderMemory();
+            this.timeline.requestRender();
+            return trigger;
+        } catch (error) {
+            alert(error.message);
             return null;
         }
-        const trigger = new Trigger(config);
-        this.triggers[config.id] = trigger;
-        this.logEvent(`Trigger '${config.id}' created.`);
-        return trigger;
     }
     
     deleteTrigger(triggerId) {
-        if (!this.triggers[triggerId]) return;
-        const trigger = this.triggers[triggerId];
-        trigger.element.remove();
-        delete this.triggers[triggerId];
+        this.deleteTriggers([triggerId]);
+    }
+
+    // Deleting several devices at once is one undo step
+    deleteTriggers(ids) {
+        const deleted = ids.filter(id => this.triggers[id]);
+        if (deleted.length === 0) return;
+        deleted.forEach(id => {
+            this.triggers[id].element.remove();
+            this.dirtyDevices.delete(this.triggers[id]);
+            this.removeTrigger(id);
+            this.logEvent(`Deleted trigger '${id}'.`);
+        });
         this.selectTrigger(null); // Deselect
-        this.logEvent(`Deleted trigger '${triggerId}'.`);
+        this.renderWires();
+        this.renderMemory();
+        this.timeline.requestRender();
+        this.recordHistory(deleted.length === 1 ? `Delete '${deleted[0]}'` : `Delete ${deleted.length} devices`);
     }
 
-    pulseChannel(channel, time = 0) {
-        if (this.isSimulating) {
-            this.logEvent("Cannot pulse; simulation is already running.", "bold");
-            return;
-        }
+    // While a simulation runs, the pulse joins its queue at the current time, like a player
+    // pressing a button mid-sequence
+    pulseChannel(channel, time = this.time) {
         if (!channel) {
             alert("Channel name cannot be empty.");
             return;
         }
+        if (this.isSimulating) {
+            this.pulse(channel, this.time);
+            this.renderDebugger();
+            return;
+        }
         this.isSimulating = true;
-        this.logEvent(`⚡ Injecting initial pulse on channel '${channel}' at T=${time}`, 'bold');
-        this.eventQueue.push({ time, channel, sourceId: 'EXTERNAL' });
+        this.timeline.clearCursor();
+        this.clearLoopReport();
+        this.pulse(channel, time);
         this.run();
     }
     
     manuallyTrigger(triggerId) {
-        if (this.isSimulating) {
-            this.logEvent("Cannot manually trigger; simulation is already running.", "bold");
-            return;
-        }
-
         const trigger = this.triggers[triggerId];
-        if (!trigger) return;
-
-        if (!trigger.state) {
-            this.logEvent(`Cannot manually trigger '${triggerId}'; it is inactive.`, "bold");
+        if (!trigger || !super.manuallyTrigger(triggerId)) return;
+        trigger.flash('fire');
+        if (this.isSimulating) {
+            this.renderDebugger();
             return;
         }
 
         this.isSimulating = true;
-        this.logEvent(`⚡ Manually triggering '${triggerId}' at T=${this.time}`, 'bold');
-        
-        if (trigger.whenTriggered) {
-            const fireTime = this.time + trigger.delay;
-            this.logEvent(`  - Scheduling pulse on '${trigger.whenTriggered}' at T=${fireTime}`);
-            this.eventQueue.push({ time: fireTime, channel: trigger.whenTriggered, sourceId: trigger.id });
-        }
-        
-        trigger.flash('fire'); // Give visual feedback
+        this.timeline.clearCursor();
+        this.clearLoopReport();
+        this.timeline.requestRender();
         this.run();
     }
 
     run() {
-        if (this.eventQueue.length === 0) {
-            this.logEvent('--- Simulation End ---', 'bold');
-            this.isSimulating = false;
+        if (this.isPaused) {
+            this.renderDebugger();
             return;
         }
-
-        this.eventQueue.sort((a, b) => a.time - b.time);
-        const { time, channel, sourceId } = this.eventQueue.shift();
-        this.time = time;
-        
-        this.logEvent(`--- Processing T=${time}, Channel='${channel}' ---`, 'bold');
-        
-        // Visualize pulse
-        if(this.triggers[sourceId]) this.triggers[sourceId].flash('fire');
-        Object.values(this.triggers).forEach(t => {
-            if (t.activateOn.includes(channel) || t.deactivateOn.includes(channel) || t.triggerOn.includes(channel)) {
-                t.flash('listen');
+        const batchSize = this.stepDelay === 0 ? INSTANT_BATCH_SIZE : 1;
+        for (let i = 0; i < batchSize; i++) {
+            const event = this.beginEvent();
+            if (!event) {
+                this.endSimulation();
+                return;
             }
-        });
+            if (this.isBreakpoint(event)) {
+                this.pause(`⏸ Breakpoint hit on T=${event.time}, Channel='${event.channel}' (from '${event.sourceId}').`);
+                return;
+            }
+            if (this.stepDelay > 0) {
+                this.schedule(() => {
+                    this.finishEvent();
+                    this.run();
+                }, this.stepDelay);
+                return;
+            }
+            this.finishEvent();
+        }
+        this.schedule(() => this.run(), 0);
+    }
+
+    // Dequeues the next event and shows it on the canvas; it is handled by finishEvent()
+    beginEvent() {
+        const event = this.nextEvent();
+        if (!event) return null;
+        const { channel, sourceId } = event;
+        this.pendingEvent = event;
+        this.timeline.clearCursor();
+        this.timeline.requestRender();
+
+        // Visualize pulse; at instant speed there is nothing to see
+        if (this.stepDelay > 0) {
+            if (this.triggers[sourceId]) this.triggers[sourceId].flash('fire');
+            this.animateWires(sourceId, channel);
+            this.getListeners(channel).forEach(t => t.flash('listen'));
+        }
+        return event;
+    }
+
+    finishEvent() {
+        const event = this.pendingEvent;
+        if (!event) return;
+        this.pendingEvent = null;
+        this.processEvent(event);
+        const halt = this.checkRunaway(event);
+        if (halt) this.showLoopReport(halt);
+        this.timeline.requestRender();
+    }
+
+    endSimulation() {
+        this.logEvent('--- Simulation End ---', 'bold', { action: 'end' });
+        this.isSimulating = false;
+        this.renderDebugger();
+        if (this.replayQueue.length > 0) this.pulseChannel(this.replayQueue.shift());
+    }
 
+    schedule(callback, delay) {
         const timeoutId = setTimeout(() => {
             // Remove self from active timeouts list
-            this.activeTimeouts.shift(); 
-            
-            let handledAtLeastOnce = false;
-            Object.values(this.triggers).forEach(trigger => {
-                const handled = trigger.handlePulse(channel, this.eventQueue, this.time);
-                if (handled) handledAtLeastOnce = true;
-            });
-            if (!handledAtLeastOnce) {
-                this.logEvent(`  - Pulse on '${channel}' was not handled by any trigger.`);
-            }
-            this.run();
-        }, 700);
+            this.activeTimeouts = this.activeTimeouts.filter(id => id !== timeoutId);
+            callback();
+        }, delay);
         this.activeTimeouts.push(timeoutId);
     }
-    
-    // --- UI and State Management ---
-    selectTrigger(trigger) {
-        if (this.selectedTrigger) {
-            this.selectedTrigger.element.classList.remove('selected');
-        }
-        this.selectedTrigger = trigger;
-        if (trigger) {
-            trigger.element.classList.add('selected');
-            this.populateEditPanel(trigger);
-            this.editPanel.classList.remove('hidden');
-        } else {
-            this.editPanel.classList.add('hidden');
-        }
+
+    cancelScheduled() {
+        this.activeTimeouts.forEach(id => clearTimeout(id));
+        this.activeTimeouts = [];
     }
 
-    populateEditPanel(trigger) {
-        this.editForm.innerHTML = `
-            <div class="font-bold text-lg text-blue-300">${trigger.id}</div>
-            <div><label class="text-sm">Delay</label><input type="number" data-property="delay" class="w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2" value="${trigger.delay}"></div>
-            <div><label class="text-sm">Activate On</label><input type="text" data-property="activateOn" class="w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2" value="${trigger.activateOn.join(', ') || ''}"></div>
-            <div><label class="text-sm">Deactivate On</label><input type="text" data-property="deactivateOn" class="w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2" value="${trigger.deactivateOn.join(', ') || ''}"></div>
-            <div><label class="text-sm">Trigger On</label><input type="text" data-property="triggerOn" class="w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2" value="${trigger.triggerOn.join(', ') || ''}"></div>
-            <div><label class="text-sm">When Triggered</label><input type="text" data-property="whenTriggered" class="w-full bg-gray-800 border border-gray-600 rounded-md px-3 py-2" value="${trigger.whenTriggered || ''}"></div>
-            <button id="delete-trigger-btn" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors mt-4">Delete Trigger</button>
-        `;
-        this.editForm.querySelectorAll('input').forEach(input => {
-            input.addEventListener('change', (e) => this.updateTriggerProperty(e));
-        });
-        this.editForm.querySelector('#delete-trigger-btn').addEventListener('click', () => {
-            this.deleteTrigger(this.selectedTrigger.id);
+    // Shows the given states on the canvas without changing the model; null returns to live states
+    previewStates(states) {
+        Object.values(this.triggers).forEach(trigger => {
+            trigger.previewState = states && trigger.id in states ? states[trigger.id] : null;
+            trigger.updateUI();
         });
     }
-    
-    updateTriggerProperty(e) {
-        if (!this.selectedTrigger) return;
-        const property = e.target.dataset.property;
-        let value = e.target.value;
 
-        if (e.target.type === 'number') {
-            value = parseInt(value);
-        } else if (['activateOn', 'deactivateOn', 'triggerOn'].includes(property)) {
-            this.selectedTrigger[property] = parseChannels(value);
-        } else {
-            this.selectedTrigger[property] = value || null;
+    // --- Input Panel ---
+    // Named buttons bound to a channel and optionally a key, saved with the layout, for playing a circuit live
+    findInputByKey(key) {
+        const normalized = normalizeInputKey(key);
+        return this.inputs.find(input => input.key === normalized) || null;
+    }
+
+    addInput(name, channel, key) {
+        const normalized = key ? normalizeInputKey(key) : null;
+        if (!name || !channel) {
+            alert('An input needs a name and a channel.');
+            return false;
         }
-        
-        if(!Array.isArray(this.selectedTrigger[property])) {
-            this.selectedTrigger[property] = value;
+        if (this.inputs.some(input => input.name === name)) {
+            alert(`There is already an input named '${name}'.`);
+            return false;
         }
+        if (RESERVED_INPUT_KEYS.includes(normalized)) {
+            alert(`'${key}' is used by the canvas shortcuts.`);
+            return false;
+        }
+        const taken = normalized && this.inputs.find(input => input.key === normalized);
+        if (taken) {
+            alert(`'${key}' is already bound to '${taken.name}'.`);
+            return false;
+        }
+        this.inputs.push({ name, channel, key: normalized });
+        this.renderInputs();
+        this.logEvent(`Added input '${name}' on '${channel}'${normalized ? ` (key ${normalized})` : ''}.`);
+        this.recordHistory(`Add input '${name}'`);
+        return true;
+    }
 
-        this.selectedTrigger.updateUI();
-        this.logEvent(`Updated '${property}' for trigger '${this.selectedTrigger.id}'.`);
+    removeInput(name) {
+        this.inputs = this.inputs.filter(input => input.name !== name);
+        this.renderInputs();
+        this.logEvent(`Removed input '${name}'.`);
+        this.recordHistory(`Remove input '${name}'`);
     }
 
-    clear() {
-        this.isSimulating = false;
-        // Cancel all pending events before clearing
-        this.activeTimeouts.forEach(id => clearTimeout(id));
-        this.activeTimeouts = [];
-        this.eventQueue = [];
-        this.time = 0;
-        this.logOutput.innerHTML = '';
-        this.zoomContainer.innerHTML = '';
-        this.triggers = {};
-        this.selectTrigger(null);
+    pressInput(input) {
+        const button = [...this.inputPanel.children].find(element => element.dataset.input === input.name);
+        if (button) {
+            button.classList.add('ring-2', 'ring-amber-300');
+            setTimeout(() => button.classList.remove('ring-2', 'ring-amber-300'), 200);
+        }
+        this.pulseChannel(input.channel);
     }
 
-    resetSimulation() {
-        this.isSimulating = false;
-        // Cancel all pending events before resetting
-        this.activeTimeouts.forEach(id => clearTimeout(id));
-        this.activeTimeouts = [];
-        this.eventQueue = [];
-        this.time = 0;
-        this.logOutput.innerHTML = '';
-        Object.values(this.triggers).forEach(trigger => trigger.reset());
-        this.logEvent('Simulation reset to initial states.');
+    renderInputs() {
+        this.inputPanel.innerHTML = '';
+        if (this.inputs.length === 0) {
+            this.inputPanel.innerHTML = '<div class="col-span-2 text-xs text-gray-400">No inputs yet.</div>';
+            return;
+        }
+        this.inputs.forEach(input => {
+            const button = document.createElement('div');
+            button.dataset.input = input.name;
+            button.className = 'relative bg-amber-700 hover:bg-amber-600 rounded-lg p-2 cursor-pointer select-none transition-colors';
+            button.title = `Pulses '${input.channel}'`;
+            const remove = document.createElement('button');
+            remove.className = 'absolute top-0 right-1 text-amber-200 hover:text-white text-xs';
+            remove.textContent = '✕';
+            remove.title = `Remove '${input.name}'`;
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeInput(input.name);
+            });
+            const label = document.createElement('div');
+            label.className = 'font-bold text-sm text-white truncate pr-3';
+            label.textContent = input.name;
+            const detail = document.createElement('div');
+            detail.className = 'text-[10px] font-mono text-amber-200 truncate';
+            detail.textContent = `${input.channel}${input.key ? ` · ${input.key === ' ' ? 'Space' : input.key}` : ''}`;
+            button.append(remove, label, detail);
+            button.addEventListener('click', () => this.pressInput(input));
+            this.inputPanel.appendChild(button);
+        });
     }
 
-    logEvent(message, style = '') {
-        const entry = document.createElement('div');
-        entry.textContent = message;
-        if (style === 'bold') entry.classList.add('font-bold', 'text-emerald-400');
-        this.logOutput.prepend(entry);
+    // --- Debugger ---
+    pause(message = '⏸ Simulation paused.') {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        this.cancelScheduled();
+        this.logEvent(message, 'bold');
+        this.renderDebugger();
     }
 
-    // --- Save/Load Logic ---
-    saveLayout() {
-        const layoutData = Object.values(this.triggers).map(t => t.serialize());
-        const jsonString = JSON.stringify(layoutData, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'trigger-layout.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        this.logEvent('Layout saved to trigger-layout.json');
-    }
-
-    loadLayout(file) {
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const layoutData = JSON.parse(e.target.result);
-                if (!Array.isArray(layoutData)) throw new Error("Invalid format");
-                
-                this.clear();
-                layoutData.forEach(config => this.addTrigger(config));
-                this.logEvent(`Layout loaded from ${file.name}`);
-            } catch (error) {
-                alert('Failed to load layout. The file may be corrupted or in the wrong format.');
-                console.error("Load error:", error);
-            }
-        };
-        reader.readAsText(file);
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.renderDebugger();
+        if (!this.isSimulating) return;
+        this.logEvent('▶ Simulation resumed.', 'bold');
+        this.finishEvent();
+        this.run();
     }
-}
 
-// --- Initialization ---
-const simulator = new Simulator();
+    togglePause() {
+        if (this.isPaused) this.resume();
+        else this.pause();
+    }
 
-document.getElementById('add-trigger-button').addEventListener('click', () => {
-    const form = document.getElementById('add-trigger-form');
-    const config = {
-        id: form.querySelector('[data-property="id"]').value.trim(),
-        delay: parseInt(form.querySelector('[data-property="delay"]').value),
-        activateOn: form.querySelector('[data-property="activateOn"]').value.trim(),
-        deactivateOn: form.querySelector('[data-property="deactivateOn"]').value.trim(),
-        triggerOn: form.querySelector('[data-property="triggerOn"]').value.trim(),
-        whenTriggered: form.querySelector('[data-property="whenTriggered"]').value.trim(),
-        x: Math.random() * 300 + 50,
-        y: Math.random() * 300 + 50,
-    };
-    if (simulator.addTrigger(config)) {
-        form.querySelector('[data-property="id"]').value = ''; // Clear ID on success
+    // Handles exactly one event and stays paused afterwards
+    stepEvent() {
+        if (!this.isPaused) this.pause();
+        if (!this.isSimulating) return;
+        if (!this.pendingEvent && !this.beginEvent()) {
+            this.endSimulation();
+            return;
+        }
+        this.finishEvent();
+        if (this.eventQueue.length === 0) this.endSimulation();
+        else this.renderDebugger();
     }
-});
 
-document.getElementById('pulse-channel-button').addEventListener('click', () => {
-    const channelName = document.getElementById('pulse-channel-name').value.trim();
-    simulator.pulseChannel(channelName);
-});
+    setSpeed(index) {
+        const speed = SPEED_STEPS[index] || SPEED_STEPS[1];
+        this.stepDelay = speed.delay;
+        document.getElementById('speed-label').textContent = speed.label;
+    }
 
-document.getElementById('reset-button').addEventListener('click', () => simulator.resetSimulation());
+    addBreakpoint(name) {
+        if (!name) return;
+        this.breakpoints.add(name);
+        this.renderDebugger();
+    }
 
-document.getElementById('save-layout-button').addEventListener('click', () => simulator.saveLayout());
-document.getElementById('load-layout-input').addEventListener('change', (e) => simulator.loadLayout(e.target.files[0]));
+    removeBreakpoint(name) {
+        this.breakpoints.delete(name);
+        this.renderDebugger();
+    }
+
+    // Breakpoints match the event's channel, the trigger that sent it, or any trigger listening to it
+    isBreakpoint(event) {
+        return [...this.breakpoints].some(name => {
+            if (name === event.channel || name === event.sourceId) return true;
+            const trigger = this.triggers[name];
+            return !!trigger && trigger.listensTo(event.channel);
+        });
+    }
+
+    renderDebugger() {
+        this.pauseButton.textContent = this.isPaused ? 'Resume' : 'Pause';
+
+        this.breakpointList.innerHTML = '';
+        this.breakpoints.forEach(name => {
+            const chip = document.createElement('button');
+            chip.className = 'bg-sky-900 hover:bg-red-700 border border-sky-500 rounded px-2 py-1';
+            chip.textContent = `● ${name} ✕`;
+            chip.title = 'Remove breakpoint';
+            chip.addEventListener('click', () => this.removeBreakpoint(name));
+            this.breakpointList.appendChild(chip);
+        });
+
+        const showQueue = this.isPaused && this.isSimulating;
+        this.eventQueuePanel.classList.toggle('hidden', !showQueue);
+        if (!showQueue) return;
+        const pending = this.eventQueue.toArray();
+        if (this.pendingEvent) pending.unshift(this.pendingEvent);
+        this.eventQueueList.innerHTML = '';
+        if (pending.length === 0) {
+            this.eventQueueList.textContent = 'Queue is empty.';
+            return;
+        }
+        pending.forEach(event => {
+            const row = document.createElement('div');
+            row.className = 'grid grid-cols-3 gap-2';
+            if (event === this.pendingEvent) row.classList.add('text-sky-300', 'font-bold');
+            [`${event === this.pendingEvent ? '▶ ' : ''}T=${event.time}`, event.channel, event.sourceId].forEach(text => {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.eventQueueList.appendChild(row);
+        });
+    }
+    
+    // --- Loop Detection ---
+    renderLimits() {
+        document.getElementById('max-events-input').value = this.limits.maxEvents;
+        document.getElementById('max-time-input').value = this.limits.maxTime;
+        const select = document.getElementById('ordering-select');
+        select.innerHTML = Object.entries(ORDERING_MODES).map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+        select.value = this.ordering.mode;
+        const seed = document.getElementById('ordering-seed-input');
+        seed.value = this.ordering.seed;
+        seed.disabled = this.ordering.mode !== 'random';
+        this.renderExpectedLoops();
+    }
+
+    setLimit(name, value) {
+        if (!Number.isFinite(value) || value <= 0) {
+            this.renderLimits();
+            return;
+        }
+        this.limits[name] = value;
+        this.logEvent(`Set ${name === 'maxEvents' ? 'event budget' : 'max time per run'} to ${value}.`);
+        this.recordHistory(`Set ${name === 'maxEvents' ? 'event budget' : 'max time'}`);
+    }
+
+    changeOrdering(mode, seed = this.ordering.seed) {
+        if (!Number.isInteger(seed)) {
+            this.renderLimits();
+            return;
+        }
+        this.setOrdering(mode, seed);
+        this.renderLimits();
+        this.logEvent(`Same-tick order set to ${describeOrdering(this.ordering)}.`);
+        this.recordHistory('Set same-tick order');
+    }
+
+    showLoopReport(halt) {
+        this.clearLoopReport();
+        halt.triggers.forEach(id => {
+            if (this.triggers[id]) this.triggers[id].element.classList.add('in-loop');
+        });
+        this.loopReport.className = `p-3 rounded-lg border text-xs space-y-1 ${halt.expected ? 'border-sky-500 bg-sky-900/40' : 'border-red-500 bg-red-900/40'}`;
+        const title = document.createElement('div');
+        title.className = `font-bold ${halt.expected ? 'text-sky-300' : 'text-red-300'}`;
+        title.textContent = `${halt.expected ? '↻ Expected loop capped' : '⛔ Run stopped'}: ${halt.message} at T=${halt.time}`;
+        this.loopReport.appendChild(title);
+
+        const triggers = document.createElement('div');
+        triggers.textContent = 'Triggers: ';
+        halt.triggers.forEach(id => {
+            const link = document.createElement('button');
+            link.className = 'underline text-amber-300 mr-1';
+            link.textContent = id;
+            link.addEventListener('click', () => this.selectTrigger(this.triggers[id] || null));
+            triggers.appendChild(link);
+        });
+        if (halt.triggers.length === 0) triggers.append('none');
+        const details = document.createElement('div');
+        details.textContent = `Channels: ${halt.channels.join(', ') || 'none'}`;
+        const period = document.createElement('div');
+        period.textContent = halt.period ? `Period: ${halt.period.events} events, T+${halt.period.time}` : `Period: unknown (${halt.pending} events were still pending)`;
+        this.loopReport.append(triggers, details, period);
+
+        if (!halt.expected && halt.channels.length > 0) {
+            const markButton = document.createElement('button');
+            markButton.className = 'mt-1 bg-sky-600 hover:bg-sky-700 text-white font-bold py-1 px-3 rounded';
+            markButton.textContent = 'Mark as Expected';
+            markButton.addEventListener('click', () => this.markLoopExpected(halt.channels));
+            this.loopReport.appendChild(markButton);
+        }
+    }
+
+    clearLoopReport() {
+        this.loopReport.classList.add('hidden');
+        this.loopReport.innerHTML = '';
+        Object.values(this.triggers).forEach(t => t.element.classList.remove('in-loop'));
+    }
+
+    markLoopExpected(channels) {
+        if (!this.isExpectedLoop(channels)) this.expectedLoops.push(channels.slice());
+        this.clearLoopReport();
+        this.renderExpectedLoops();
+        this.logEvent(`Marked loop on ${channels.join(', ')} as expected.`);
+        this.recordHistory('Mark loop as expected');
+    }
+
+    removeExpectedLoop(index) {
+        this.expectedLoops.splice(index, 1);
+        this.renderExpectedLoops();
+        this.recordHistory('Remove expected loop');
+    }
+
+    renderExpectedLoops() {
+        this.expectedLoopList.innerHTML = '';
+        this.expectedLoops.forEach((channels, index) => {
+            const chip = document.createElement('button');
+            chip.className = 'bg-sky-900 hover:bg-red-700 border border-sky-500 rounded px-2 py-1';
+            chip.textContent = `↻ ${channels.join(', ')} ✕`;
+            chip.title = 'Expected loop; click to remove';
+            chip.addEventListener('click', () => this.removeExpectedLoop(index));
+            this.expectedLoopList.appendChild(chip);
+        });
+    }
+
+    // --- Analysis ---
+    renderAnalysis() {
+        const findings = analyzeLayout(this);
+        this.analysisResults.innerHTML = '';
+        if (findings.length === 0) {
+            this.analysisResults.innerHTML = '<div class="text-emerald-300">✓ No problems found.</div>';
+            return;
+        }
+        findings.forEach(finding => {
+            const row = document.createElement('button');
+            row.className = `w-full text-left p-2 rounded border ${finding.severity === 'warning' ? 'border-orange-500 bg-orange-900/30 text-orange-200' : 'border-gray-600 bg-gray-800 text-gray-300'} hover:bg-gray-700`;
+            row.textContent = `${finding.severity === 'warning' ? '⚠' : 'ℹ'} ${finding.message}`;
+            row.title = finding.triggers.length > 1 ? 'Click to select the first device; click again to cycle through them' : 'Click to select the device';
+            let next = 0;
+            row.addEventListener('click', () => {
+                const id = finding.triggers[next % finding.triggers.length];
+                next++;
+                this.selectTrigger(this.triggers[id] || null);
+            });
+            this.analysisResults.appendChild(row);
+        });
+        this.logEvent(`Analysis found ${findings.length} issue${findings.length === 1 ? '' : 's'}.`);
+    }
+
+    // --- Explorer ---
+    runExploration() {
+        const typed = parseChannels(document.getElementById('explore-channels').value);
+        const channels = typed.length > 0 ? typed : [...new Set(this.inputs.map(input => input.channel))];
+        const depth = parseInt(document.getElementById('explore-depth').value, 10);
+        let result;
+        try {
+            const rules = parseStateRules(this, document.getElementById('explore-rules').value);
+            result = exploreStates(this, { channels, depth: depth > 0 ? depth : DEFAULT_EXPLORE_DEPTH, rules });
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+
+        const states = [...result.states].sort((a, b) => (b.violations.length > 0) - (a.violations.length > 0));
+        const forbidden = states.filter(state => state.violations.length > 0).length;
+        this.exploreResults.innerHTML = '';
+        const summary = document.createElement('div');
+        summary.className = forbidden > 0 ? 'text-red-300 font-bold' : 'text-emerald-300';
+        const coverage = result.complete ? 'every reachable state' : result.truncated ? `stopped after ${result.explored} states` : 'longer sequences may reach more';
+        summary.textContent = `${forbidden > 0 ? `⚠ ${forbidden} forbidden of ` : '✓ '}${states.length} state combination${states.length === 1 ? '' : 's'} (${coverage}).`;
+        this.exploreResults.appendChild(summary);
+        states.forEach(state => {
+            const row = document.createElement('div');
+            const bad = state.violations.length > 0;
+            row.className = `flex items-start justify-between gap-2 p-2 rounded border ${bad ? 'border-red-500 bg-red-900/30 text-red-200' : 'border-gray-600 bg-gray-800 text-gray-300'}`;
+            const text = document.createElement('div');
+            text.className = 'min-w-0 break-words';
+            const active = document.createElement('div');
+            active.className = 'font-mono';
+            active.textContent = state.active.join(', ') || '(none active)';
+            const via = document.createElement('div');
+            via.className = 'text-gray-400';
+            via.textContent = `via ${state.sequence.join(' → ') || 'the starting state'}`;
+            text.append(active, via);
+            state.violations.forEach(rule => {
+                const line = document.createElement('div');
+                line.textContent = `✗ ${rule}`;
+                text.appendChild(line);
+            });
+            if (state.halt) {
+                const line = document.createElement('div');
+                line.className = 'text-amber-300';
+                line.textContent = `${state.halt.expected ? '↻' : '⛔'} ${state.halt.message}`;
+                text.appendChild(line);
+            }
+            const replay = document.createElement('button');
+            replay.className = 'shrink-0 bg-fuchsia-700 hover:bg-fuchsia-600 text-white px-2 py-1 rounded';
+            replay.textContent = 'Replay';
+            replay.addEventListener('click', () => this.replaySequence(state.sequence));
+            row.append(text, replay);
+            this.exploreResults.appendChild(row);
+        });
+        this.logEvent(`Explored ${channels.join(', ')} up to ${depth > 0 ? depth : DEFAULT_EXPLORE_DEPTH} pulses: ${states.length} state combinations, ${forbidden} forbidden.`);
+    }
+
+    // Resets the simulation and pulses each channel on the canvas, once the previous one settles
+    replaySequence(sequence) {
+        this.resetSimulation();
+        this.logEvent(`▶ Replaying ${sequence.join(' → ') || 'the starting state'}.`, 'bold');
+        this.replayQueue = sequence.slice(1);
+        if (sequence.length > 0) this.pulseChannel(sequence[0]);
+    }
+
+    // --- Memory ---
+    // Refreshes the meter; call after devices, their channels or the cost table change
+    renderMemory() {
+        const estimate = estimateMemory(this);
+        const ratio = estimate.total / estimate.budget;
+        document.getElementById('memory-total').textContent = estimate.total.toLocaleString();
+        document.getElementById('memory-budget-label').textContent = estimate.budget.toLocaleString();
+        const bar = document.getElementById('memory-bar');
+        bar.style.width = `${Math.min(100, ratio * 100)}%`;
+        bar.classList.toggle('bg-teal-500', ratio <= 0.8);
+        bar.classList.toggle('bg-amber-500', ratio > 0.8 && !estimate.over);
+        bar.classList.toggle('bg-red-500', estimate.over);
+
+        const warning = document.getElementById('memory-warning');
+        warning.classList.toggle('hidden', !estimate.over);
+        warning.textContent = estimate.over
+            ? `⚠ Over the map budget by ${(estimate.total - estimate.budget).toLocaleString()}. This layout will not fit in Gimkit.`
+            : '';
+        const { devices, wires, channels } = estimate.totals;
+        document.getElementById('memory-breakdown').textContent = `Devices ${devices.toLocaleString()} · Wires ${wires.toLocaleString()} · Channels ${channels.toLocaleString()}`;
+
+        const topList = document.getElementById('memory-top-list');
+        topList.innerHTML = '';
+        estimate.items.slice(0, MEMORY_TOP_ITEMS).forEach(item => {
+            const row = document.createElement(item.kind === 'device' ? 'button' : 'div');
+            row.className = 'w-full flex justify-between text-left';
+            if (item.kind === 'device') {
+                row.classList.add('hover:text-teal-300');
+                row.title = 'Select this device';
+                row.addEventListener('click', () => this.selectTrigger(this.triggers[item.id] || null));
+            }
+            const name = document.createElement('span');
+            name.textContent = `${item.id} (${item.detail})`;
+            const cost = document.createElement('span');
+            cost.textContent = item.cost.toLocaleString();
+            row.append(name, cost);
+            topList.appendChild(row);
+        });
+        if (estimate.items.length === 0) topList.textContent = 'Nothing placed yet.';
+    }
+
+    renderMemoryCosts() {
+        document.getElementById('memory-budget-input').value = getMemoryBudget(this);
+        const costs = getMemoryCosts(this);
+        const table = document.getElementById('memory-cost-table');
+        table.innerHTML = '';
+        Object.entries(memoryCostLabels(this)).forEach(([key, label]) => {
+            const cell = document.createElement('div');
+            cell.innerHTML = `<label class="text-xs">${label}</label><input type="number" min="0" class="w-full bg-gray-800 border border-gray-600 rounded-md px-2 py-1 text-sm" value="${costs[key]}">`;
+            cell.querySelector('input').addEventListener('change', (e) => this.setMemoryCost(key, parseFloat(e.target.value)));
+            table.appendChild(cell);
+        });
+        this.renderMemory();
+    }
+
+    setMemoryCost(key, value) {
+        if (!Number.isFinite(value) || value < 0) {
+            this.renderMemoryCosts();
+            return;
+        }
+        this.memory.costs[key] = value;
+        this.renderMemory();
+        this.logEvent(`Set the memory cost of ${memoryCostLabels(this)[key]} to ${value}.`);
+        this.recordHistory(`Set ${memoryCostLabels(this)[key]} cost`);
+    }
+
+    setMemoryBudget(value) {
+        if (!Number.isFinite(value) || value <= 0) {
+            this.renderMemoryCosts();
+            return;
+        }
+        this.memory.budget = value;
+        this.renderMemory();
+        this.logEvent(`Set the map memory budget to ${value}.`);
+        this.recordHistory('Set memory budget');
+    }
+
+    resetMemoryCosts() {
+        this.memory = { budget: null, costs: {} };
+        this.renderMemoryCosts();
+        this.logEvent('Reset the memory budget and costs to the defaults.');
+        this.recordHistory('Reset memory costs');
+    }
+
+    // --- Scenarios ---
+    renderScenarioList(selectedIndex = -1) {
+        this.scenarioSelect.innerHTML = '';
+        const newOption = document.createElement('option');
+        newOption.value = '-1';
+        newOption.textContent = '— New scenario —';
+        this.scenarioSelect.appendChild(newOption);
+        this.scenarios.forEach((scenario, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = scenario.name;
+            this.scenarioSelect.appendChild(option);
+        });
+        this.selectScenario(selectedIndex);
+    }
+
+    selectScenario(index) {
+        this.scenarioSelect.value = String(index);
+        const scenario = this.scenarios[index] || {
+            name: 'New scenario',
+            pulses: [{ time: 0, channel: '' }],
+            assertions: [{ type: 'state', trigger: '', active: true }],
+        };
+        this.scenarioEditor.value = JSON.stringify(scenario, null, 2);
+    }
+
+    readScenarioEditor() {
+        let scenario;
+        try {
+            scenario = JSON.parse(this.scenarioEditor.value);
+        } catch (error) {
+            alert(`Scenario is not valid JSON: ${error.message}`);
+            return null;
+        }
+        const errors = validateScenario(scenario);
+        if (errors.length > 0) {
+            alert(`Invalid scenario:\n${errors.join('\n')}`);
+            return null;
+        }
+        return scenario;
+    }
+
+    // Saves over the scenario with the same name, or adds a new one
+    saveScenario() {
+        const scenario = this.readScenarioEditor();
+        if (!scenario) return;
+        let index = this.scenarios.findIndex(s => s.name === scenario.name);
+        if (index === -1) index = this.scenarios.push(scenario) - 1;
+        else this.scenarios[index] = scenario;
+        this.renderScenarioList(index);
+        this.logEvent(`Saved scenario '${scenario.name}'.`);
+        this.recordHistory(`Save scenario '${scenario.name}'`);
+    }
+
+    deleteScenario() {
+        const index = parseInt(this.scenarioSelect.value);
+        const scenario = this.scenarios[index];
+        if (!scenario) return;
+        this.scenarios.splice(index, 1);
+        this.renderScenarioList();
+        this.logEvent(`Deleted scenario '${scenario.name}'.`);
+        this.recordHistory(`Delete scenario '${scenario.name}'`);
+    }
+
+    // Runs against a headless copy of the layout so the canvas is left as it is
+    runScenarios(scenarios) {
+        const reports = scenarios.map(scenario => {
+            try {
+                return runScenario(this.clone(), scenario);
+            } catch (error) {
+                return { name: scenario.name || 'Unnamed scenario', passed: false, error: error.message, results: [] };
+            }
+        });
+        this.renderScenarioResults(reports);
+        reports.forEach(report => {
+            const passedCount = report.results.filter(result => result.passed).length;
+            this.logEvent(`Scenario '${report.name}': ${report.passed ? 'PASS' : 'FAIL'} (${passedCount}/${report.results.length} assertions)`, 'bold');
+        });
+        return reports;
+    }
+
+    checkRaces(scenario) {
+        let report;
+        try {
+            report = detectRaces(this, scenario);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.scenarioResults.innerHTML = '';
+        const header = document.createElement('div');
+        header.className = `font-bold ${report.races.length > 0 ? 'text-red-400' : 'text-emerald-400'}`;
+        header.textContent = report.races.length > 0
+            ? `⚠ ${report.races.length} device${report.races.length === 1 ? ' depends' : 's depend'} on the order in '${report.name}'`
+            : `✓ '${report.name}' ends the same under all ${report.runs.length} orders`;
+        this.scenarioResults.appendChild(header);
+        report.races.forEach(race => {
+            const name = document.createElement('button');
+            name.className = 'ml-2 text-pink-300 hover:underline';
+            name.textContent = race.trigger;
+            name.addEventListener('click', () => this.selectTrigger(this.triggers[race.trigger] || null));
+            this.scenarioResults.appendChild(name);
+            race.outcomes.forEach(outcome => {
+                const row = document.createElement('div');
+                row.className = 'ml-4 text-gray-300';
+                row.textContent = `${outcome.state}: ${outcome.orderings.map(describeOrdering).join(', ')}`;
+                this.scenarioResults.appendChild(row);
+            });
+        });
+        // Gimkit mode changes how triggers handle pulses, not just the order, so it is listed apart
+        if (report.gimkit.differences.length > 0) {
+            const note = document.createElement('div');
+            note.className = 'mt-1 font-bold text-amber-300';
+            note.textContent = 'Gimkit mode (approximate) ends differently from FIFO:';
+            this.scenarioResults.appendChild(note);
+            report.gimkit.differences.forEach(difference => {
+                const row = document.createElement('div');
+                row.className = 'ml-2 text-gray-300';
+                const name = document.createElement('button');
+                name.className = 'text-pink-300 hover:underline';
+                name.textContent = difference.trigger;
+                name.addEventListener('click', () => this.selectTrigger(this.triggers[difference.trigger] || null));
+                row.append(name, `: ${difference.fifo} under FIFO, ${difference.gimkit} under Gimkit`);
+                this.scenarioResults.appendChild(row);
+            });
+        }
+        this.logEvent(`Race check of '${report.name}': ${report.races.length === 0 ? 'no races' : report.races.map(race => race.trigger).join(', ')}.`, 'bold');
+    }
+
+    renderScenarioResults(reports) {
+        this.scenarioResults.innerHTML = '';
+        if (reports.length === 0) {
+            this.scenarioResults.textContent = 'No saved scenarios.';
+            return;
+        }
+        reports.forEach(report => {
+            const header = document.createElement('div');
+            header.className = `font-bold ${report.passed ? 'text-emerald-400' : 'text-red-400'}`;
+            header.textContent = `${report.passed ? '✓ PASS' : '✗ FAIL'} ${report.name}`;
+            this.scenarioResults.appendChild(header);
+            if (report.error) {
+                const row = document.createElement('div');
+                row.className = 'text-red-300 ml-2';
+                row.textContent = report.error;
+                this.scenarioResults.appendChild(row);
+            }
+            (report.halts || []).forEach(halt => {
+                const row = document.createElement('div');
+                row.className = `ml-2 ${halt.expected ? 'text-sky-300' : 'text-red-300'}`;
+                row.textContent = `${halt.expected ? '↻' : '⛔'} ${describeHalt(halt)}`;
+                this.scenarioResults.appendChild(row);
+            });
+            report.results.forEach(result => {
+                const row = document.createElement('div');
+                row.className = `ml-2 ${result.passed ? 'text-emerald-300' : 'text-red-300'}`;
+                row.textContent = `${result.passed ? '✓' : '✗'} ${result.description}${result.passed ? '' : ` (was ${result.actual})`}`;
+                this.scenarioResults.appendChild(row);
+            });
+        });
+    }
+
+    // --- Generator ---
+    // Places a generated network to the right of everything on the canvas
+    placeGenerated(network) {
+        const clash = network.triggers.find(config => this.triggers[config.id] || this.instances[config.id]);
+        if (clash) {
+            alert(`'${clash.id}' already exists. Change the output name or ID prefix.`);
+            return;
+        }
+        const devices = Object.values(this.triggers);
+        const left = devices.length > 0 ? Math.max(...devices.map(device => device.x)) + GENERATOR_COLUMN_WIDTH + 40 : 50;
+        this.isLoading = true;
+        try {
+            network.triggers.forEach(config => this.addTrigger({ ...config, x: left + config.x, y: 50 + config.y }));
+        } finally {
+            this.isLoading = false;
+        }
+        this.renderWires();
+        this.renderMemory();
+        this.timeline.requestRender();
+        this.logEvent(`Generated ${network.triggers.length} triggers. Inputs: ${network.inputs.join(', ')}. Outputs: ${network.outputs.join(', ')}.`);
+        this.recordHistory(`Generate ${network.outputs[0] || 'network'}`);
+    }
+
+    generate(mode, source, options) {
+        let network;
+        try {
+            if (mode === 'expression') network = generateFromExpression(source, options);
+            else if (mode === 'table') network = generateFromTruthTable(source, options);
+            else network = generateFromTemplate(source, options);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.placeGenerated(network);
+    }
+
+    // --- Components ---
+    // Saves the selected devices as a component in the layout; empty port fields use the suggested ports
+    createComponentFromGroup(name, inputsText, outputsText) {
+        const ids = this.getSelectedDevices().map(device => device.id);
+        if (!name) {
+            alert('Component name cannot be empty.');
+            return;
+        }
+        if (this.components[name]) {
+            alert(`A component named '${name}' already exists.`);
+            return;
+        }
+        const suggested = this.suggestPorts(ids);
+        const ports = {
+            inputs: inputsText ? parseChannels(inputsText) : suggested.inputs,
+            outputs: outputsText ? parseChannels(outputsText) : suggested.outputs,
+        };
+        try {
+            this.defineComponent(this.createComponent(name, ids, ports));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.selectTrigger(null);
+        this.renderComponentList(`layout:${name}`);
+        this.recordHistory(`Create component '${name}'`);
+        this.logEvent(`Saved component '${name}' (inputs: ${ports.inputs.join(', ') || 'none'}; outputs: ${ports.outputs.join(', ') || 'none'}).`);
+    }
+
+    renderComponentList(selectedValue = null) {
+        const library = loadComponentLibrary();
+        const select = this.componentSelect;
+        select.innerHTML = '';
+        [['layout', 'This Layout', Object.keys(this.components)], ['library', 'Library', Object.keys(library)]].forEach(([source, label, names]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = `${source}:${name}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            if (names.length > 0) select.appendChild(group);
+        });
+        if (selectedValue) select.value = selectedValue;
+    }
+
+    // The picked component as { source, name, component }, or null
+    getSelectedComponent() {
+        const value = this.componentSelect.value;
+        if (!value) return null;
+        const [source, ...rest] = value.split(':');
+        const name = rest.join(':');
+        const component = source === 'layout' ? this.components[name] : loadComponentLibrary()[name];
+        return component ? { source, name, component } : null;
+    }
+
+    placeComponent(id, bindingsText) {
+        const selected = this.getSelectedComponent();
+        if (!selected) {
+            alert('Pick a component to place.');
+            return;
+        }
+        try {
+            // Library components are copied into the layout so it stays self-contained
+            if (!this.components[selected.name]) this.defineComponent(selected.component);
+            this.addInstance({
+                id,
+                component: selected.name,
+                bindings: parseBindings(bindingsText),
+                x: Math.random() * 300 + 50,
+                y: Math.random() * 300 + 50,
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.renderComponentList(`layout:${selected.name}`);
+        document.getElementById('instance-id').value = '';
+        this.recordHistory(`Place '${id}'`);
+    }
+
+    saveComponentToLibrary() {
+        const selected = this.getSelectedComponent();
+        if (!selected) return;
+        const library = loadComponentLibrary();
+        library[selected.name] = selected.component;
+        saveComponentLibrary(library);
+        this.renderComponentList(`library:${selected.name}`);
+        this.logEvent(`Saved component '${selected.name}' to the local library.`);
+    }
+
+    deleteSelectedComponent() {
+        const selected = this.getSelectedComponent();
+        if (!selected) return;
+        if (selected.source === 'library') {
+            const library = loadComponentLibrary();
+            delete library[selected.name];
+            saveComponentLibrary(library);
+        } else {
+            try {
+                this.removeComponent(selected.name);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+        }
+        this.renderComponentList();
+        this.recordHistory(`Delete component '${selected.name}'`);
+        this.logEvent(`Deleted component '${selected.name}' from the ${selected.source === 'library' ? 'library' : 'layout'}.`);
+    }
+
+    addInstance(config) {
+        const instance = super.addInstance(config);
+        const element = document.createElement('div');
+        element.id = `instance-${instance.id}`;
+        element.className = 'instance-block rounded-lg border-2';
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.selectTrigger(this.getInstanceDevices(instance.id)[0] || null);
+        });
+        element.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            this.startInstanceDrag(e, instance.id);
+        });
+        this.zoomContainer.appendChild(element);
+        this.instanceElements[instance.id] = element;
+        this.renderInstance(instance.id);
+        if (this.isLoading) return instance;
+        this.renderWires();
+        this.renderMemory();
+        return instance;
+    }
+
+    removeInstance(id) {
+        this.getInstanceDevices(id).forEach(device => {
+            if (this.selectedTrigger === device) this.selectTrigger(null);
+            device.element.remove();
+        });
+        if (this.instanceElements[id]) this.instanceElements[id].remove();
+        delete this.instanceElements[id];
+        super.removeInstance(id);
+        this.renderWires();
+        this.renderMemory();
+        this.timeline.requestRender();
+    }
+
+    deleteInstance(id) {
+        this.removeInstance(id);
+        this.logEvent(`Deleted instance '${id}'.`);
+        this.recordHistory(`Delete '${id}'`);
+    }
+
+    moveInstance(id, x, y) {
+        super.moveInstance(id, x, y);
+        this.getInstanceDevices(id).forEach(device => device.updateUI());
+        this.renderInstance(id);
+        this.layoutWires();
+    }
+
+    setInstanceBindings(id, bindings) {
+        if (this.isSimulating) return;
+        try {
+            this.updateInstance(id, { bindings });
+        } catch (error) {
+            alert(error.message);
+        }
+        this.selectTrigger(this.getInstanceDevices(id)[0] || null);
+        this.logEvent(`Updated the port bindings of '${id}'.`);
+        this.recordHistory(`Edit bindings of '${id}'`);
+    }
+
+    toggleInstance(id) {
+        const instance = this.instances[id];
+        instance.expanded = !instance.expanded;
+        this.renderInstance(id);
+        this.getInstanceDevices(id).forEach(device => device.updateUI()); // Measured again once they are shown
+        this.layoutWires();
+        this.recordHistory(`${instance.expanded ? 'Expand' : 'Collapse'} '${id}'`);
+    }
+
+    // Collapsed: one block listing the ports. Expanded: a header above the instance's own devices.
+    renderInstance(id) {
+        const instance = this.instances[id];
+        const element = this.instanceElements[id];
+        if (!instance || !element) return;
+        const component = this.components[instance.component];
+        const devices = this.getInstanceDevices(id);
+        devices.forEach(device => device.element.classList.toggle('hidden', !instance.expanded));
+        const active = devices.filter(device => (device.previewState === null ? device.state : device.previewState)).length;
+
+        element.style.left = `${instance.x}px`;
+        element.style.top = `${instance.y}px`;
+        element.classList.toggle('expanded', instance.expanded);
+        element.classList.toggle('active', !instance.expanded && active > 0);
+        element.classList.toggle('selected', Boolean(this.selectedTrigger && this.selectedTrigger.instance === id));
+        const ports = (names, arrow) => names.map(port => `<span>${escapeHtml(port)}</span> <span class="text-sky-300">${arrow} ${escapeHtml(getPortChannel(instance, port))}</span>`).join('');
+        element.innerHTML = instance.expanded
+            ? `<div class="flex justify-between items-center px-2 py-1 text-xs">
+                    <span class="font-bold">${escapeHtml(instance.id)} · ${escapeHtml(instance.component)}</span>
+                    <button class="instance-toggle-btn bg-gray-600 hover:bg-gray-500 rounded px-2">Collapse</button>
+               </div>`
+            : `<div class="p-3">
+                    <div class="font-bold text-lg text-center">${escapeHtml(instance.id)}</div>
+                    <div class="device-label text-[10px] uppercase tracking-wider text-center">${escapeHtml(instance.component)}</div>
+                    <div class="text-xs mt-1 font-mono">Active: ${active} / ${devices.length}</div>
+                    <div class="text-xs mt-2 grid grid-cols-2 gap-x-2">
+                        ${ports(component.inputs, '←')}
+                        ${ports(component.outputs, '→')}
+                    </div>
+                    <button class="instance-toggle-btn w-full mt-2 py-1 text-xs bg-gray-500 hover:bg-gray-400 rounded">Expand</button>
+               </div>`;
+        if (instance.expanded) {
+            const right = Math.max(...devices.map(device => device.x + this.getDeviceSize(device).width));
+            element.style.width = `${Math.max(160, right - instance.x)}px`;
+        } else {
+            element.style.width = '';
+        }
+        element.querySelector('.instance-toggle-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleInstance(id);
+        });
+    }
+
+    // --- Selection ---
+    // Shift+click and shift+drag select several top-level devices, which then move, copy,
+    // align and get edited together, and are what a new component is made from
+    getSelectedDevices() {
+        return [...this.selection].map(id => this.triggers[id]).filter(device => device && !device.instance);
+    }
+
+    // One selected device gets the edit panel; several get the shared fields
+    setSelection(ids) {
+        const previous = this.selectedTrigger;
+        this.selection.forEach(id => {
+            if (this.triggers[id]) this.triggers[id].element.classList.remove('selected');
+        });
+        this.selection = new Set(ids.filter(id => this.triggers[id]));
+        this.selection.forEach(id => this.triggers[id].element.classList.add('selected'));
+        this.selectedTrigger = this.selection.size === 1 ? this.triggers[[...this.selection][0]] : null;
+        if (previous && previous.instance) this.renderInstance(previous.instance);
+        if (this.selectedTrigger && this.selectedTrigger.instance) this.renderInstance(this.selectedTrigger.instance);
+        if (this.selectedTrigger) this.populateEditPanel(this.selectedTrigger);
+        else if (this.selection.size > 1) this.populateSelectionPanel(this.getSelectedDevices());
+        this.editPanel.classList.toggle('hidden', this.selection.size === 0);
+        this.renderSelection();
+    }
+
+    toggleSelection(trigger) {
+        if (trigger.instance) {
+            this.logEvent(`'${trigger.id}' belongs to instance '${trigger.instance}' and can only be selected on its own.`);
+            return;
+        }
+        const ids = this.getSelectedDevices().map(device => device.id);
+        this.setSelection(ids.includes(trigger.id) ? ids.filter(id => id !== trigger.id) : [...ids, trigger.id]);
+    }
+
+    selectAll() {
+        this.setSelection(Object.values(this.triggers).filter(device => !device.instance).map(device => device.id));
+    }
+
+    renderSelection() {
+        const ids = this.getSelectedDevices().map(device => device.id);
+        document.getElementById('component-group').textContent = ids.length > 0
+            ? `Group: ${ids.join(', ')}`
+            : 'Select devices on the canvas (shift+click or shift+drag) to group them.';
+        const ports = this.suggestPorts(ids);
+        document.getElementById('component-inputs').placeholder = `Inputs (${ports.inputs.join(', ') || 'none'})`;
+        document.getElementById('component-outputs').placeholder = `Outputs (${ports.outputs.join(', ') || 'none'})`;
+        const copied = this.clipboard ? `; ${this.clipboard.length} copied` : '';
+        document.getElementById('selection-status').textContent = `${ids.length} selected${copied}`;
+    }
+
+    // Box selection, in canvas coordinates; the box adds to the selection
+    startBoxSelection(event) {
+        const point = this.toCanvasPoint(event);
+        const element = document.createElement('div');
+        element.className = 'selection-box';
+        this.zoomContainer.appendChild(element);
+        this.selectionBox = { x: point.x, y: point.y, element };
+        this.updateBoxSelection(event);
+    }
+
+    updateBoxSelection(event) {
+        const box = this.getSelectionBoxRect(this.toCanvasPoint(event));
+        Object.assign(this.selectionBox.element.style, {
+            left: `${box.left}px`,
+            top: `${box.top}px`,
+            width: `${box.right - box.left}px`,
+            height: `${box.bottom - box.top}px`,
+        });
+        this.selectionBox.end = box;
+    }
+
+    getSelectionBoxRect(point) {
+        const { x, y } = this.selectionBox;
+        return { left: Math.min(x, point.x), top: Math.min(y, point.y), right: Math.max(x, point.x), bottom: Math.max(y, point.y) };
+    }
+
+    endBoxSelection() {
+        if (!this.selectionBox) return;
+        const { element, end } = this.selectionBox;
+        element.remove();
+        this.selectionBox = null;
+        const inside = Object.values(this.triggers).filter(device => {
+            if (device.instance) return false;
+            const box = this.getDeviceBox(device);
+            return box.x < end.right && box.x + box.width > end.left && box.y < end.bottom && box.y + box.height > end.top;
+        });
+        this.setSelection([...this.getSelectedDevices(), ...inside].map(device => device.id));
+        this.ignoreNextClick = true;
+    }
+
+    getDeviceBox(device) {
+        return { x: device.x, y: device.y, ...this.getDeviceSize(device) };
+    }
+
+    deleteSelection() {
+        const device = this.triggers[[...this.selection][0]];
+        if (this.selection.size === 1 && device && device.instance) this.deleteInstance(device.instance);
+        else this.deleteTriggers(this.getSelectedDevices().map(selected => selected.id));
+    }
+
+    // --- Copy and Paste ---
+    copySelection() {
+        const devices = this.getSelectedDevices();
+        if (devices.length === 0) return;
+        this.clipboard = devices.map(device => device.serialize());
+        this.pasteCount = 0;
+        this.renderSelection();
+        this.logEvent(`Copied ${devices.length} device${devices.length === 1 ? '' : 's'}.`);
+    }
+
+    // Each paste of the same copy lands a little further along
+    pasteClipboard() {
+        if (!this.clipboard) return;
+        this.pasteCount++;
+        this.pasteConfigs(this.clipboard, PASTE_OFFSET * this.pasteCount, 'Paste');
+    }
+
+    duplicateSelection() {
+        const devices = this.getSelectedDevices();
+        if (devices.length === 0) return;
+        this.pasteConfigs(devices.map(device => device.serialize()), PASTE_OFFSET, 'Duplicate');
+    }
+
+    // Copies get unused IDs and the channel renames typed in the Arrange section; they become the selection
+    pasteConfigs(configs, offset, verb) {
+        if (this.isSimulating) return;
+        const renames = parseBindings(this.pasteRenamesInput.value);
+        const devices = this.pasteDevices(configs, { dx: offset, dy: offset, renames });
+        if (devices.length === 0) return;
+        this.setSelection(devices.map(device => device.id));
+        this.logEvent(`${verb}d ${devices.map(device => device.id).join(', ')}.`);
+        this.recordHistory(`${verb} ${devices.length} device${devices.length === 1 ? '' : 's'}`);
+    }
+
+    // --- Arranging ---
+    snap(value) {
+        return this.snapToGrid ? Math.round(value / GRID_SIZE) * GRID_SIZE : value;
+    }
+
+    // Moves devices to new { device, x, y } positions as one undo step
+    arrangeDevices(moves, label) {
+        if (moves.length === 0) return;
+        moves.forEach(({ device, x, y }) => {
+            device.x = x;
+            device.y = y;
+            device.updateUI();
+        });
+        this.layoutWires();
+        this.recordHistory(label);
+    }
+
+    snapSelection() {
+        const devices = this.getSelectedDevices();
+        const snapped = (value) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+        this.arrangeDevices(devices.map(device => ({ device, x: snapped(device.x), y: snapped(device.y) })), 'Snap to grid');
+    }
+
+    // Lines the selected devices up with the selection's outer edge or center
+    alignSelection(mode) {
+        const devices = this.getSelectedDevices();
+        if (devices.length < 2) return;
+        const { axis, anchor } = ALIGN_MODES[mode];
+        const size = axis === 'x' ? 'width' : 'height';
+        const boxes = devices.map(device => ({ device, ...this.getDeviceBox(device) }));
+        const start = Math.min(...boxes.map(box => box[axis]));
+        const end = Math.max(...boxes.map(box => box[axis] + box[size]));
+        const line = start + anchor * (end - start);
+        this.arrangeDevices(boxes.map(box => ({
+            device: box.device,
+            x: axis === 'x' ? line - anchor * box.width : box.x,
+            y: axis === 'y' ? line - anchor * box.height : box.y,
+        })), `Align ${mode}`);
+    }
+
+    // Evens out the gaps between the selected devices, keeping the outermost two in place
+    distributeSelection(axis) {
+        const devices = this.getSelectedDevices();
+        if (devices.length < 3) return;
+        const size = axis === 'x' ? 'width' : 'height';
+        const boxes = devices.map(device => ({ device, ...this.getDeviceBox(device) }))
+            .sort((a, b) => a[axis] - b[axis]);
+        const first = boxes[0];
+        const last = boxes[boxes.length - 1];
+        const used = boxes.reduce((sum, box) => sum + box[size], 0);
+        const gap = (last[axis] + last[size] - first[axis] - used) / (boxes.length - 1);
+        let position = first[axis];
+        this.arrangeDevices(boxes.map(box => {
+            const move = { device: box.device, x: box.x, y: box.y, [axis]: position };
+            position += box[size] + gap;
+            return move;
+        }), `Distribute ${axis === 'x' ? 'horizontally' : 'vertically'}`);
+    }
+
+    // --- Auto-arrange ---
+    // Canvas size of a device, or of an instance's block (with its devices while expanded)
+    getNodeSize(id) {
+        const instance = this.instances[id];
+        if (!instance) return this.getDeviceSize(this.triggers[id]);
+        const element = this.instanceElements[id];
+        if (!instance.expanded) return { width: element.offsetWidth, height: element.offsetHeight };
+        const boxes = this.getInstanceDevices(id).map(device => this.getDeviceBox(device));
+        return {
+            width: Math.max(element.offsetWidth, ...boxes.map(box => box.x + box.width - instance.x)),
+            height: Math.max(element.offsetHeight, ...boxes.map(box => box.y + box.height - instance.y)),
+        };
+    }
+
+    // Lays the whole layout out by signal flow (see arrange.js), then fits it in view
+    autoArrange() {
+        if (this.isSimulating) return;
+        const { positions } = arrangeLayout(this, (id) => this.getNodeSize(id));
+        Object.entries(positions).forEach(([id, { x, y }]) => {
+            const position = { x: this.snap(x + FIT_MARGIN), y: this.snap(y + FIT_MARGIN) };
+            if (this.instances[id]) {
+                this.moveInstance(id, position.x, position.y);
+            } else {
+                this.triggers[id].x = position.x;
+                this.triggers[id].y = position.y;
+                this.triggers[id].updateUI();
+            }
+        });
+        this.layoutWires();
+        this.fitToView();
+        this.logEvent(`Arranged ${Object.keys(positions).length} devices and instances by signal flow.`);
+        this.recordHistory('Auto-arrange');
+    }
+
+    // Pans and zooms so everything on the canvas is in view, without zooming in past 100%
+    fitToView() {
+        const boxes = [
+            ...Object.keys(this.triggers).map(id => this.getWireEnd(id)),
+            ...Object.values(this.instances).map(instance => ({ x: instance.x, y: instance.y, ...this.getNodeSize(instance.id) })),
+        ];
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (boxes.length === 0 || width === 0 || height === 0) return;
+        const left = Math.min(...boxes.map(box => box.x));
+        const top = Math.min(...boxes.map(box => box.y));
+        const contentWidth = Math.max(...boxes.map(box => box.x + box.width)) - left;
+        const contentHeight = Math.max(...boxes.map(box => box.y + box.height)) - top;
+        const fit = Math.min((width - 2 * FIT_MARGIN) / contentWidth, (height - 2 * FIT_MARGIN) / contentHeight, 1);
+        this.scale = Math.max(MIN_SCALE, Math.min(fit, MAX_SCALE));
+        this.panX = (width - contentWidth * this.scale) / 2 - left * this.scale;
+        this.panY = (height - contentHeight * this.scale) / 2 - top * this.scale;
+        this.updateTransform();
+    }
+
+    // --- History ---
+    // Undo/redo keeps a snapshot of the whole saved layout after every edit. The list is
+    // linear: editing after an undo drops the steps that were undone.
+    resetHistory(label) {
+        this.history = [{ label, snapshot: JSON.stringify(this.serializeLayout()) }];
+        this.historyIndex = 0;
+        this.renderHistory();
+    }
+
+    // Call after an edit has been applied; edits that change nothing are skipped
+    recordHistory(label) {
+        if (this.isRestoring) return;
+        const snapshot = JSON.stringify(this.serializeLayout());
+        if (snapshot === this.history[this.historyIndex].snapshot) return;
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push({ label, snapshot });
+        if (this.history.length > HISTORY_LIMIT) this.history.shift();
+        this.historyIndex = this.history.length - 1;
+        this.renderHistory();
+        this.scheduleAutosave();
+    }
+
+    jumpToHistory(index) {
+        if (index < 0 || index >= this.history.length || index === this.historyIndex) return;
+        if (this.isSimulating) {
+            this.logEvent('Cannot undo or redo while the simulation is running.', 'bold');
+            return;
+        }
+        const log = this.log;
+        this.isRestoring = true;
+        try {
+            this.applyLayout(JSON.parse(this.history[index].snapshot));
+        } finally {
+            this.isRestoring = false;
+        }
+        this.log = log;
+        let message = `Went back to '${this.history[index].label}'.`;
+        if (index === this.historyIndex - 1) message = `Undid '${this.history[this.historyIndex].label}'.`;
+        if (index === this.historyIndex + 1) message = `Redid '${this.history[index].label}'.`;
+        this.historyIndex = index;
+        this.renderHistory();
+        this.scheduleAutosave();
+        this.logEvent(message);
+    }
+
+    undo() {
+        this.jumpToHistory(this.historyIndex - 1);
+    }
+
+    redo() {
+        this.jumpToHistory(this.historyIndex + 1);
+    }
+
+    renderHistory() {
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+        this.history.forEach((entry, index) => {
+            const row = document.createElement('button');
+            const isCurrent = index === this.historyIndex;
+            row.className = `w-full text-left px-2 py-1 rounded ${isCurrent ? 'bg-cyan-700 text-white' : index > this.historyIndex ? 'text-gray-500 hover:bg-gray-700' : 'hover:bg-gray-700'}`;
+            row.textContent = `${isCurrent ? '▶ ' : ''}${entry.label}`;
+            row.addEventListener('click', () => this.jumpToHistory(index));
+            list.prepend(row);
+        });
+        document.getElementById('undo-button').disabled = this.historyIndex === 0;
+        document.getElementById('redo-button').disabled = this.historyIndex === this.history.length - 1;
+    }
+
+    // --- UI and State Management ---
+    selectTrigger(trigger) {
+        this.setSelection(trigger ? [trigger.id] : []);
+    }
+
+    populateEditPanel(trigger) {
+        if (trigger.instance) {
+            this.populateInstancePanel(this.instances[trigger.instance], trigger);
+            return;
+        }
+        this.editForm.innerHTML = `
+            <div class="font-bold text-lg text-blue-300">${escapeHtml(trigger.id)}</div>
+            <div class="text-xs text-gray-400">${trigger.constructor.label}</div>
+            ${renderFieldInputs(trigger.constructor, trigger)}
+            <button id="delete-trigger-btn" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors mt-4">Delete ${trigger.constructor.label}</button>
+        `;
+        this.editForm.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', (e) => this.updateTriggerProperty(e));
+        });
+        this.editForm.querySelector('#delete-trigger-btn').addEventListener('click', () => {
+            this.deleteTrigger(this.selectedTrigger.id);
+        });
+    }
+    
+    // Fields every selected device has; ones whose values differ start empty
+    populateSelectionPanel(devices) {
+        const fields = devices[0].constructor.fields.filter(field => devices.every(device => (
+            device.constructor.fields.some(other => other.property === field.property && other.type === field.type)
+        )));
+        const inputs = fields.map(field => {
+            const values = devices.map(device => String(device[field.property] ?? ''));
+            const same = values.every(value => value === values[0]);
+            return renderFieldInput(field, same ? devices[0][field.property] : '', same ? field.label : 'Mixed values');
+        }).join('');
+        this.editForm.innerHTML = `
+            <div class="font-bold text-lg text-blue-300">${devices.length} devices selected</div>
+            <div class="text-xs text-gray-400">${escapeHtml(devices.map(device => device.id).join(', '))}</div>
+            ${inputs || '<div class="text-xs text-gray-400">The selected devices have no fields in common.</div>'}
+            <button id="delete-trigger-btn" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors mt-4">Delete ${devices.length} Devices</button>
+        `;
+        this.editForm.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', (e) => this.updateSelectionProperty(e.target.dataset.property, e.target.value));
+        });
+        this.editForm.querySelector('#delete-trigger-btn').addEventListener('click', () => this.deleteSelection());
+    }
+
+    // Devices placed by an instance come from its component, so only the port bindings are editable
+    populateInstancePanel(instance, device) {
+        const component = this.components[instance.component];
+        const portInputs = [...component.inputs, ...component.outputs].map(port => `
+            <div><label class="text-sm">${component.inputs.includes(port) ? 'Input' : 'Output'} ${escapeHtml(port)}</label><input type="text" data-port="${escapeHtml(port)}" class="${FIELD_INPUT_CLASS}" placeholder="${escapeHtml(`${instance.id}.${port}`)}" value="${escapeHtml((instance.bindings && instance.bindings[port]) || '')}"></div>`).join('');
+        this.editForm.innerHTML = `
+            <div class="font-bold text-lg text-blue-300">${escapeHtml(instance.id)}</div>
+            <div class="text-xs text-gray-400">Instance of '${escapeHtml(instance.component)}'. Selected device: ${escapeHtml(device.id)}</div>
+            ${portInputs}
+            <button id="toggle-instance-btn" class="w-full bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg transition-colors">${instance.expanded ? 'Collapse' : 'Expand'}</button>
+            <button id="delete-trigger-btn" class="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg transition-colors mt-4">Delete Instance</button>
+        `;
+        this.editForm.querySelectorAll('[data-port]').forEach(input => {
+            input.addEventListener('change', () => {
+                const bindings = {};
+                this.editForm.querySelectorAll('[data-port]').forEach(portInput => {
+                    if (portInput.value.trim()) bindings[portInput.dataset.port] = portInput.value.trim();
+                });
+                this.setInstanceBindings(instance.id, bindings);
+            });
+        });
+        this.editForm.querySelector('#toggle-instance-btn').addEventListener('click', () => {
+            this.toggleInstance(instance.id);
+            this.populateInstancePanel(instance, device);
+        });
+        this.editForm.querySelector('#delete-trigger-btn').addEventListener('click', () => this.deleteInstance(instance.id));
+    }
+
+    updateTriggerProperty(e) {
+        if (!this.selectedTrigger) return;
+        const property = e.target.dataset.property;
+        if (!this.setDeviceField(this.selectedTrigger, property, e.target.value)) return;
+
+        this.selectedTrigger.updateUI();
+        this.renderWires();
+        this.renderMemory();
+        this.logEvent(`Updated '${property}' for trigger '${this.selectedTrigger.id}'.`);
+        this.recordHistory(`Edit ${property} of '${this.selectedTrigger.id}'`);
+    }
+
+    updateSelectionProperty(property, value) {
+        const devices = this.getSelectedDevices();
+        devices.forEach(device => {
+            if (this.setDeviceField(device, property, value)) device.updateUI();
+        });
+        this.renderWires();
+        this.renderMemory();
+        this.logEvent(`Updated '${property}' for ${devices.map(device => device.id).join(', ')}.`);
+        this.recordHistory(`Edit ${property} of ${devices.length} devices`);
+    }
+
+    clear() {
+        this.isSimulating = false;
+        this.isPaused = false;
+        this.pendingEvent = null;
+        this.replayQueue = [];
+        // Cancel all pending events before clearing
+        this.cancelScheduled();
+        this.timeline.clearCursor();
+        this.clearLoopReport();
+        Object.values(this.triggers).forEach(trigger => trigger.element.remove());
+        Object.values(this.instanceElements).forEach(element => element.remove());
+        this.instanceElements = {};
+        this.selection.clear();
+        super.clear();
+        this.renderWires();
+        this.renderMemoryCosts();
+        this.renderComponentList();
+        this.renderInputs();
+        this.renderLayoutMeta();
+        this.timeline.requestRender();
+        if (!this.isRestoring) this.renderLog();
+        this.selectTrigger(null);
+        this.renderDebugger();
+    }
+
+    resetSimulation() {
+        this.isSimulating = false;
+        this.isPaused = false;
+        this.pendingEvent = null;
+        this.replayQueue = [];
+        // Cancel all pending events before resetting
+        this.cancelScheduled();
+        this.timeline.clearCursor();
+        this.clearLoopReport();
+        this.reset();
+        this.timeline.requestRender();
+        this.renderLog();
+        this.renderDebugger();
+        this.logEvent('Simulation reset to initial states.');
+    }
+
+    logEvent(message, style = '', details = {}) {
+        if (this.isRestoring) return null; // Rebuilding for undo/redo isn't news
+        const entry = super.logEvent(message, style, details);
+        if (this.matchesLogFilter(entry)) this.logOutput.prepend(this.renderLogEntry(entry));
+        return entry;
+    }
+
+    // --- Log View ---
+    matchesLogFilter(entry) {
+        const { device, channel, action, search } = this.logFilter;
+        return (!device || entry.target === device || entry.sourceId === device)
+            && (!channel || entry.channel === channel)
+            && (!action || entry.action === action)
+            && (!search || entry.message.toLowerCase().includes(search.toLowerCase()));
+    }
+
+    setLogFilter(name, value) {
+        this.logFilter[name] = value;
+        this.renderLog();
+    }
+
+    // Devices and channels that appear in the log, for the filter dropdowns
+    renderLogFilterOptions() {
+        const fill = (select, values) => {
+            const current = select.value;
+            select.innerHTML = '';
+            [[select.dataset.allLabel, ''], ...[...values].sort().map(value => [value, value])].forEach(([label, value]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = values.has(current) ? current : '';
+        };
+        const devices = new Set(Object.keys(this.triggers));
+        const channels = new Set();
+        this.log.forEach(entry => {
+            if (entry.target) devices.add(entry.target);
+            if (entry.sourceId && entry.sourceId !== 'EXTERNAL') devices.add(entry.sourceId);
+            if (entry.channel) channels.add(entry.channel);
+        });
+        fill(document.getElementById('log-filter-device'), devices);
+        fill(document.getElementById('log-filter-channel'), channels);
+    }
+
+    renderLogEntry(entry) {
+        const row = document.createElement('div');
+        row.textContent = entry.message;
+        row.className = 'cursor-pointer hover:bg-gray-700/50';
+        if (entry.style === 'bold') row.classList.add('font-bold', 'text-emerald-400');
+        row.title = `${LOG_ACTIONS[entry.action] || entry.action}. Click to see what caused it.`;
+        row.addEventListener('click', () => this.showCausalChain(entry.id));
+        return row;
+    }
+
+    // Newest first, like logEvent() adds them
+    renderLog() {
+        const fragment = document.createDocumentFragment();
+        this.getFilteredLog().reverse().forEach(entry => fragment.appendChild(this.renderLogEntry(entry)));
+        this.logOutput.innerHTML = '';
+        this.logOutput.appendChild(fragment);
+        this.hideCausalChain();
+    }
+
+    getFilteredLog() {
+        return this.log.filter(entry => this.matchesLogFilter(entry));
+    }
+
+    // "Why did this fire?": every entry from the original pulse or manual trigger down to this one
+    showCausalChain(id) {
+        const chain = this.getCausalChain(id);
+        this.logCause.innerHTML = '';
+        const header = document.createElement('div');
+        header.className = 'flex justify-between font-bold text-sky-300 mb-1';
+        const origin = chain[0];
+        header.textContent = origin.action === 'inject' ? `Started by an external pulse on '${origin.channel}'`
+            : origin.action === 'manual' ? `Started by manually triggering '${origin.target}'`
+                : 'No earlier cause was recorded';
+        const close = document.createElement('button');
+        close.className = 'text-gray-400 hover:text-white ml-2';
+        close.textContent = '✕';
+        close.addEventListener('click', () => this.hideCausalChain());
+        header.appendChild(close);
+        this.logCause.appendChild(header);
+        chain.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = `font-mono ${entry.id === id ? 'text-amber-300' : ''} ${entry.target && this.triggers[entry.target] ? 'cursor-pointer hover:underline' : ''}`;
+            row.style.paddingLeft = `${Math.min(index, 8) * 8}px`;
+            row.textContent = `${index > 0 ? '↳ ' : ''}T=${entry.time} ${LOG_ACTIONS[entry.action] || entry.action}: ${entry.message.trim()}`;
+            row.addEventListener('click', () => this.selectTrigger(this.triggers[entry.target] || null));
+            this.logCause.appendChild(row);
+        });
+        this.logCause.classList.remove('hidden');
+    }
+
+    hideCausalChain() {
+        this.logCause.classList.add('hidden');
+        this.logCause.innerHTML = '';
+    }
+
+    // Exports the entries the filters show (all of them when none are set)
+    exportLog(format) {
+        const entries = this.getFilteredLog();
+        if (format === 'csv') downloadFile('trigger-log.csv', logToCsv(entries), 'text/csv');
+        else downloadFile('trigger-log.json', JSON.stringify(entries, null, 2), 'application/json');
+    }
+
+    // --- Save/Load Logic ---
+    // Files, projects and share links also keep the current pan and zoom, which undo/redo leaves alone
+    serializeSavedLayout() {
+        const layoutData = this.serializeLayout();
+        layoutData.meta.view = { panX: this.panX, panY: this.panY, scale: this.scale };
+        return layoutData;
+    }
+
+    applyView(view) {
+        if (!view) return;
+        ({ panX: this.panX, panY: this.panY, scale: this.scale } = view);
+        this.updateTransform();
+    }
+
+    saveLayout() {
+        const layoutData = this.serializeSavedLayout();
+        const filename = `${this.meta.name.trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'trigger-layout'}.json`;
+        downloadFile(filename, JSON.stringify(layoutData, null, 2), 'application/json');
+        this.logEvent(`Layout saved to ${filename}`);
+    }
+
+    // Replaces everything with a layout, as saveLayout() writes it
+    applyLayout(layoutData) {
+        this.isLoading = true;
+        try {
+            this.loadLayoutData(layoutData);
+        } finally {
+            this.isLoading = false;
+        }
+        this.renderWires();
+        this.renderMemory();
+        this.timeline.requestRender();
+        this.renderScenarioList();
+        this.renderLimits();
+        this.renderMemoryCosts();
+        this.renderComponentList();
+        this.renderInputs();
+        this.renderLayoutMeta();
+    }
+
+    renderLayoutMeta() {
+        document.getElementById('layout-name-input').value = this.meta.name;
+        document.getElementById('layout-description-input').value = this.meta.description;
+    }
+
+    updateLayoutMeta(property, value) {
+        if (this.meta[property] === value) return;
+        this.meta[property] = value;
+        this.recordHistory(`Edit layout ${property}`);
+    }
+
+    // Lists what checkLayout() found in a file; errors first
+    renderLayoutProblems(fileName, report) {
+        this.layoutProblems.innerHTML = '';
+        if (report.problems.length === 0) return;
+        const errors = report.problems.filter(problem => problem.severity === 'error');
+        const header = document.createElement('div');
+        header.className = `font-bold ${errors.length > 0 ? 'text-red-300' : 'text-amber-300'}`;
+        header.textContent = errors.length > 0
+            ? `${fileName} was not loaded: ${errors.length} error${errors.length === 1 ? '' : 's'}.`
+            : `${fileName} loaded with ${report.problems.length} fix${report.problems.length === 1 ? '' : 'es'}:`;
+        this.layoutProblems.appendChild(header);
+        [...errors, ...report.problems.filter(problem => problem.severity !== 'error')].forEach(problem => {
+            const row = document.createElement('div');
+            row.className = `p-2 rounded border ${problem.severity === 'error' ? 'border-red-500 bg-red-900/30 text-red-200' : 'border-amber-500 bg-amber-900/20 text-amber-200'}`;
+            const path = document.createElement('div');
+            path.className = 'font-mono';
+            path.textContent = `${problem.severity === 'error' ? '✗' : '⚠'} ${problem.path || 'layout'}`;
+            const message = document.createElement('div');
+            message.textContent = problem.message;
+            const fix = document.createElement('div');
+            fix.className = 'text-gray-400';
+            fix.textContent = problem.fix;
+            row.append(path, message, fix);
+            this.layoutProblems.appendChild(row);
+        });
+    }
+
+    // Reads and checks a layout file, then replaces the current layout with it, or with merge,
+    // adds it to the current one. A file with errors changes nothing.
+    loadLayout(file, { merge = false } = {}) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const report = readLayoutText(e.target.result);
+            this.renderLayoutProblems(file.name, report);
+            if (!report.ok) {
+                this.logEvent(`Could not ${merge ? 'import' : 'load'} ${file.name}; see Layout Management for the problems.`, 'bold');
+                return;
+            }
+            try {
+                if (merge) {
+                    this.mergeLayout(report.layout, file.name);
+                } else {
+                    this.applyLayout(report.layout);
+                    this.applyView(report.layout.meta.view);
+                    this.logEvent(`Layout loaded from ${file.name}`);
+                    this.recordHistory(`Load ${file.name}`);
+                }
+                if (report.version < LAYOUT_VERSION) this.logEvent(`Upgraded ${file.name} from layout format ${report.version} to ${LAYOUT_VERSION}.`);
+            } catch (error) {
+                alert(`Failed to ${merge ? 'import' : 'load'} ${file.name}: ${error.message}`);
+                console.error("Load error:", error);
+                // Put back whatever was there before the failed load
+                this.isRestoring = true;
+                this.applyLayout(JSON.parse(this.history[this.historyIndex].snapshot));
+                this.isRestoring = false;
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Adds a checked layout to the right of everything on the canvas; the imported devices become the selection
+    mergeLayout(layoutData, fileName) {
+        const current = Object.keys(this.triggers).map(id => this.getWireEnd(id));
+        const imported = layoutData.triggers.concat(layoutData.instances);
+        let dx = 0;
+        let dy = 0;
+        if (current.length > 0 && imported.length > 0) {
+            dx = Math.max(...current.map(box => box.x + box.width)) + ARRANGE_COLUMN_GAP - Math.min(...imported.map(item => item.x || 0));
+            dy = Math.min(...current.map(box => box.y)) - Math.min(...imported.map(item => item.y || 0));
+        }
+        let summary;
+        this.isLoading = true;
+        try {
+            summary = this.mergeLayoutData(layoutData, { dx, dy });
+        } finally {
+            this.isLoading = false;
+        }
+        this.renderWires();
+        this.renderMemory();
+        this.timeline.requestRender();
+        this.renderScenarioList();
+        this.renderComponentList();
+        this.renderInputs();
+        this.setSelection(summary.devices.map(device => device.id));
+
+        const counts = [
+            `${summary.devices.length} device${summary.devices.length === 1 ? '' : 's'}`,
+            `${summary.instances.length} instance${summary.instances.length === 1 ? '' : 's'}`,
+            `${summary.scenarios.length} scenario${summary.scenarios.length === 1 ? '' : 's'}`,
+        ];
+        this.logEvent(`Imported ${counts.join(', ')} from ${fileName}.`);
+        summary.renamed.forEach(({ kind, from, to }) => this.logEvent(`  - ${kind} '${from}' was renamed to '${to}' (the name was taken).`));
+        this.recordHistory(`Import ${fileName}`);
+    }
+
+    // --- Projects ---
+    // The current layout is saved in the browser shortly after every change, so a refresh loses nothing.
+    scheduleAutosave() {
+        if (!this.projectId) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveProject(), AUTOSAVE_DELAY);
+    }
+
+    saveProject() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.projectId) return;
+        const status = document.getElementById('autosave-status');
+        try {
+            localStorage.setItem(getProjectKey(this.projectId), JSON.stringify(this.serializeSavedLayout()));
+            const index = loadProjectIndex();
+            index[this.projectId] = { name: this.meta.name || 'Untitled layout', updated: Date.now() };
+            saveProjectIndex(index);
+        } catch (error) {
+            status.textContent = 'Autosave failed: browser storage is full. Save the layout to a file.';
+            status.classList.add('text-red-300');
+            return;
+        }
+        status.textContent = `Autosaved at ${new Date().toLocaleTimeString()}`;
+        status.classList.remove('text-red-300');
+        this.renderProjects();
+    }
+
+    // Makes whatever is on the canvas a new project
+    createProject() {
+        this.projectId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        localStorage.setItem(CURRENT_PROJECT_KEY, this.projectId);
+        this.saveProject();
+    }
+
+    // Replaces the canvas with stored layout data after checking it. Returns false, with the
+    // problems listed under Layout Management, if it has errors.
+    openLayoutData(data, source, label) {
+        const report = checkLayout(data);
+        this.renderLayoutProblems(source, report);
+        if (!report.ok) return false;
+        this.applyLayout(report.layout);
+        this.applyView(report.layout.meta.view);
+        this.resetHistory(label);
+        return true;
+    }
+
+    newProject() {
+        if (this.isSimulating) return;
+        this.saveProject();
+        this.clear();
+        this.meta.name = 'Untitled layout';
+        this.renderLayoutMeta();
+        this.applyView({ panX: 0, panY: 0, scale: 1 });
+        this.createProject();
+        this.resetHistory('New project');
+        this.logEvent('Started a new project.');
+    }
+
+    openProject(id) {
+        if (id === this.projectId) return true;
+        if (this.isSimulating) {
+            this.logEvent('Cannot switch projects while the simulation is running.', 'bold');
+            return false;
+        }
+        const index = loadProjectIndex();
+        const name = index[id] ? index[id].name : id;
+        let data = null;
+        try {
+            data = JSON.parse(localStorage.getItem(getProjectKey(id)));
+        } catch (error) {
+            // Reported as not a layout below
+        }
+        this.saveProject();
+        if (!this.openLayoutData(data, `Project '${name}'`, `Open '${name}'`)) return false;
+        this.projectId = id;
+        localStorage.setItem(CURRENT_PROJECT_KEY, id);
+        this.renderProjects();
+        this.logEvent(`Opened project '${name}'.`);
+        return true;
+    }
+
+    // The project open before the page was closed, or failing that the most recent one
+    openLastProject() {
+        const index = loadProjectIndex();
+        const last = localStorage.getItem(CURRENT_PROJECT_KEY);
+        const ids = Object.keys(index).sort((a, b) => index[b].updated - index[a].updated);
+        return [last, ...ids].filter(id => index[id]).some(id => this.openProject(id));
+    }
+
+    deleteProject(id) {
+        const index = loadProjectIndex();
+        if (!index[id] || !confirm(`Delete the project '${index[id].name}'? This cannot be undone.`)) return;
+        const { name } = index[id];
+        delete index[id];
+        saveProjectIndex(index);
+        localStorage.removeItem(getProjectKey(id));
+        if (id === this.projectId) {
+            clearTimeout(this.autosaveTimer);
+            this.projectId = null;
+            if (!this.openLastProject()) this.newProject();
+        }
+        this.renderProjects();
+        this.logEvent(`Deleted project '${name}'.`);
+    }
+
+    // Most recently changed first
+    renderProjects() {
+        const list = document.getElementById('project-list');
+        const index = loadProjectIndex();
+        list.innerHTML = '';
+        Object.keys(index).sort((a, b) => index[b].updated - index[a].updated).forEach(id => {
+            const isCurrent = id === this.projectId;
+            const row = document.createElement('div');
+            row.className = `flex items-center rounded ${isCurrent ? 'bg-purple-700 text-white' : 'hover:bg-gray-700'}`;
+            const open = document.createElement('button');
+            open.className = 'flex-1 text-left px-2 py-1 truncate';
+            open.textContent = `${isCurrent ? '▶ ' : ''}${index[id].name}`;
+            open.title = `Last changed ${new Date(index[id].updated).toLocaleString()}`;
+            open.addEventListener('click', () => this.openProject(id));
+            const remove = document.createElement('button');
+            remove.className = 'px-2 text-gray-400 hover:text-red-400';
+            remove.textContent = '×';
+            remove.title = 'Delete project';
+            remove.addEventListener('click', () => this.deleteProject(id));
+            row.append(open, remove);
+            list.appendChild(row);
+        });
+    }
+
+    // --- Share links ---
+    async copyShareLink() {
+        const url = `${location.href.split('#')[0]}${await encodeShareFragment(this.serializeSavedLayout())}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            this.logEvent(`Copied a share link to the clipboard (${url.length.toLocaleString()} characters).`);
+        } catch (error) {
+            prompt('Copy this share link:', url);
+        }
+    }
+
+    // Opens the layout in a share link as a new project; returns false if the page has no share link
+    // or it can't be read. The fragment is removed so a refresh doesn't open it again.
+    async openShareLink() {
+        if (!location.hash.startsWith(SHARE_PREFIX)) return false;
+        const fragment = location.hash;
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+        let data;
+        try {
+            data = JSON.parse(await decodeShareFragment(fragment));
+        } catch (error) {
+            this.renderLayoutProblems('The share link', {
+                problems: [{ path: '', severity: 'error', message: 'The link is incomplete or damaged.', fix: 'Ask for the link again; some chat apps cut long links short.' }],
+            });
+            return false;
+        }
+        this.saveProject();
+        if (!this.openLayoutData(data, 'The share link', 'Open share link')) return false;
+        this.createProject();
+        this.logEvent(`Opened a shared layout${this.meta.name ? ` ('${this.meta.name}')` : ''} as a new project.`);
+        return true;
+    }
+}
+
+// --- Initialization ---
+const simulator = new Simulator();
+
+// Shows the fields for the device type picked in the add form
+const renderAddFields = () => {
+    const type = document.getElementById('add-device-type').value;
+    document.getElementById('add-device-fields').innerHTML = renderFieldInputs(DEVICE_TYPES[type]);
+};
+document.getElementById('add-device-type').innerHTML = Object.entries(DEVICE_TYPES)
+    .map(([type, DeviceClass]) => `<option value="${type}">${DeviceClass.label}</option>`).join('');
+document.getElementById('add-device-type').addEventListener('change', renderAddFields);
+renderAddFields();
+
+document.getElementById('add-trigger-button').addEventListener('click', () => {
+    const form = document.getElementById('add-trigger-form');
+    const config = {
+        id: form.querySelector('[data-property="id"]').value.trim(),
+        type: document.getElementById('add-device-type').value,
+        x: Math.random() * 300 + 50,
+        y: Math.random() * 300 + 50,
+    };
+    form.querySelectorAll('#add-device-fields [data-property]').forEach(input => {
+        config[input.dataset.property] = input.value.trim();
+    });
+    if (simulator.addTrigger(config)) {
+        form.querySelector('[data-property="id"]').value = ''; // Clear ID on success
+        simulator.recordHistory(`Add '${config.id}'`);
+    }
+});
+
+document.getElementById('analyze-button').addEventListener('click', () => simulator.renderAnalysis());
+
+document.getElementById('create-component-button').addEventListener('click', () => {
+    simulator.createComponentFromGroup(
+        document.getElementById('component-name').value.trim(),
+        document.getElementById('component-inputs').value.trim(),
+        document.getElementById('component-outputs').value.trim(),
+    );
+});
+document.getElementById('clear-group-button').addEventListener('click', () => simulator.selectTrigger(null));
+document.getElementById('place-component-button').addEventListener('click', () => {
+    simulator.placeComponent(document.getElementById('instance-id').value.trim(), document.getElementById('instance-bindings').value);
+});
+document.getElementById('library-save-component-button').addEventListener('click', () => simulator.saveComponentToLibrary());
+document.getElementById('delete-component-button').addEventListener('click', () => simulator.deleteSelectedComponent());
+
+// Shows the inputs for the picked generator mode
+const generatorMode = document.getElementById('generator-mode');
+const generatorTemplate = document.getElementById('generator-template');
+generatorTemplate.innerHTML = Object.entries(GENERATOR_TEMPLATES)
+    .map(([key, template]) => `<option value="${key}">${template.label}</option>`).join('');
+const renderGeneratorMode = () => {
+    const mode = generatorMode.value;
+    const template = GENERATOR_TEMPLATES[generatorTemplate.value];
+    document.getElementById('generator-source').classList.toggle('hidden', mode === 'template');
+    document.getElementById('generator-source').placeholder = mode === 'table' ? 'A B | OUT\n0 0 | 0\n0 1 | 1\n1 0 | 1\n1 1 | 0' : '(A & B) | !C';
+    generatorTemplate.classList.toggle('hidden', mode !== 'template');
+    document.querySelectorAll('.generator-template-option').forEach(option => option.classList.toggle('hidden', mode !== 'template'));
+    document.getElementById('generator-inputs').placeholder = template.defaults.inputs.join(', ');
+    document.getElementById('generator-output').placeholder = mode === 'template' ? template.defaults.output : 'OUT';
+    document.getElementById('generator-size').placeholder = template.maxSize ? template.defaults.size : 'N/A';
+    document.getElementById('generator-size').disabled = !template.maxSize;
+};
+generatorMode.addEventListener('change', renderGeneratorMode);
+generatorTemplate.addEventListener('change', renderGeneratorMode);
+renderGeneratorMode();
+document.getElementById('generate-button').addEventListener('click', () => {
+    const mode = generatorMode.value;
+    simulator.generate(mode, mode === 'template' ? generatorTemplate.value : document.getElementById('generator-source').value, {
+        output: document.getElementById('generator-output').value.trim(),
+        prefix: document.getElementById('generator-prefix').value.trim(),
+        onPattern: document.getElementById('generator-on-pattern').value.trim(),
+        offPattern: document.getElementById('generator-off-pattern').value.trim(),
+        inputs: document.getElementById('generator-inputs').value,
+        size: document.getElementById('generator-size').value,
+    });
+});
+
+document.getElementById('undo-button').addEventListener('click', () => simulator.undo());
+document.getElementById('redo-button').addEventListener('click', () => simulator.redo());
+
+document.getElementById('copy-button').addEventListener('click', () => simulator.copySelection());
+document.getElementById('paste-button').addEventListener('click', () => simulator.pasteClipboard());
+document.getElementById('duplicate-button').addEventListener('click', () => simulator.duplicateSelection());
+document.getElementById('delete-selection-button').addEventListener('click', () => simulator.deleteSelection());
+document.getElementById('snap-to-grid').addEventListener('change', (e) => { simulator.snapToGrid = e.target.checked; });
+document.getElementById('snap-selection-button').addEventListener('click', () => simulator.snapSelection());
+document.querySelectorAll('[data-align]').forEach(button => {
+    button.addEventListener('click', () => simulator.alignSelection(button.dataset.align));
+});
+document.querySelectorAll('[data-distribute]').forEach(button => {
+    button.addEventListener('click', () => simulator.distributeSelection(button.dataset.distribute));
+});
+
+document.getElementById('auto-arrange-button').addEventListener('click', () => simulator.autoArrange());
+document.getElementById('fit-view-button').addEventListener('click', () => simulator.fitToView());
+
+document.getElementById('explore-button').addEventListener('click', () => simulator.runExploration());
+
+const inputKeyField = document.getElementById('input-key');
+inputKeyField.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+    inputKeyField.value = e.key === 'Backspace' || e.key === 'Delete' ? '' : e.key;
+});
+document.getElementById('add-input-button').addEventListener('click', () => {
+    const nameField = document.getElementById('input-name');
+    const channelField = document.getElementById('input-channel');
+    if (simulator.addInput(nameField.value.trim(), channelField.value.trim(), inputKeyField.value)) {
+        nameField.value = '';
+        channelField.value = '';
+        inputKeyField.value = '';
+    }
+});
+
+document.getElementById('pulse-channel-button').addEventListener('click', () => {
+    const channelName = document.getElementById('pulse-channel-name').value.trim();
+    simulator.pulseChannel(channelName);
+});
+
+document.getElementById('pause-button').addEventListener('click', () => simulator.togglePause());
+document.getElementById('step-button').addEventListener('click', () => simulator.stepEvent());
+document.getElementById('speed-slider').addEventListener('input', (e) => simulator.setSpeed(parseInt(e.target.value)));
+document.getElementById('add-breakpoint-button').addEventListener('click', () => {
+    const input = document.getElementById('breakpoint-name');
+    simulator.addBreakpoint(input.value.trim());
+    input.value = '';
+});
+
+document.getElementById('max-events-input').addEventListener('change', (e) => simulator.setLimit('maxEvents', parseInt(e.target.value)));
+document.getElementById('max-time-input').addEventListener('change', (e) => simulator.setLimit('maxTime', parseFloat(e.target.value)));
+document.getElementById('ordering-select').addEventListener('change', (e) => simulator.changeOrdering(e.target.value));
+document.getElementById('ordering-seed-input').addEventListener('change', (e) => simulator.changeOrdering(simulator.ordering.mode, parseInt(e.target.value)));
+
+document.getElementById('memory-budget-input').addEventListener('change', (e) => simulator.setMemoryBudget(parseFloat(e.target.value)));
+document.getElementById('reset-memory-costs-button').addEventListener('click', () => simulator.resetMemoryCosts());
+
+document.getElementById('scenario-select').addEventListener('change', (e) => simulator.selectScenario(parseInt(e.target.value)));
+document.getElementById('save-scenario-button').addEventListener('click', () => simulator.saveScenario());
+document.getElementById('delete-scenario-button').addEventListener('click', () => simulator.deleteScenario());
+document.getElementById('run-scenario-button').addEventListener('click', () => {
+    const scenario = simulator.readScenarioEditor();
+    if (scenario) simulator.runScenarios([scenario]);
+});
+document.getElementById('run-all-scenarios-button').addEventListener('click', () => simulator.runScenarios(simulator.scenarios));
+document.getElementById('check-races-button').addEventListener('click', () => {
+    const scenario = simulator.readScenarioEditor();
+    if (scenario) simulator.checkRaces(scenario);
+});
+
+document.getElementById('reset-button').addEventListener('click', () => simulator.resetSimulation());
+
+document.getElementById('save-layout-button').addEventListener('click', () => simulator.saveLayout());
+document.getElementById('load-layout-input').addEventListener('change', (e) => {
+    simulator.loadLayout(e.target.files[0]);
+    e.target.value = ''; // Loading the same file again still fires a change
+});
+document.getElementById('share-link-button').addEventListener('click', () => simulator.copyShareLink());
+document.getElementById('new-project-button').addEventListener('click', () => simulator.newProject());
+window.addEventListener('hashchange', () => simulator.openShareLink()); // A share link pasted into this tab
+window.addEventListener('beforeunload', () => simulator.saveProject());
+document.getElementById('import-layout-input').addEventListener('change', (e) => {
+    simulator.loadLayout(e.target.files[0], { merge: true });
+    e.target.value = '';
+});
+document.getElementById('layout-name-input').addEventListener('change', (e) => simulator.updateLayoutMeta('name', e.target.value.trim()));
+document.getElementById('layout-description-input').addEventListener('change', (e) => simulator.updateLayoutMeta('description', e.target.value.trim()));
+
+// --- UI: Bottom panel tabs for the log and timeline ---
+const bottomTabs = [
+    { button: document.getElementById('tab-log'), panel: document.getElementById('log-panel') },
+    { button: document.getElementById('tab-timeline'), panel: document.getElementById('timeline-panel') },
+];
+const showBottomTab = (selected) => {
+    bottomTabs.forEach(tab => {
+        const isSelected = tab === selected;
+        tab.panel.classList.toggle('hidden', !isSelected);
+        tab.button.classList.toggle('bg-emerald-600', isSelected);
+        tab.button.classList.toggle('text-white', isSelected);
+        tab.button.classList.toggle('text-gray-300', !isSelected);
+    });
+    document.getElementById('timeline-controls').classList.toggle('hidden', selected.panel.id !== 'timeline-panel');
+    document.getElementById('log-controls').classList.toggle('hidden', selected.panel.id !== 'log-panel');
+    simulator.timeline.render();
+};
+bottomTabs.forEach(tab => tab.button.addEventListener('click', () => showBottomTab(tab)));
+document.getElementById('timeline-live-button').addEventListener('click', () => simulator.timeline.clearCursor());
+
+// --- UI: Log filters and export ---
+const logActionFilter = document.getElementById('log-filter-action');
+logActionFilter.innerHTML = `<option value="">All actions</option>${Object.entries(LOG_ACTIONS)
+    .map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}`;
+['device', 'channel', 'action'].forEach(name => {
+    const select = document.getElementById(`log-filter-${name}`);
+    select.addEventListener('change', () => simulator.setLogFilter(name, select.value));
+    if (name !== 'action') select.addEventListener('focus', () => simulator.renderLogFilterOptions());
+});
+document.getElementById('log-search').addEventListener('input', (e) => simulator.setLogFilter('search', e.target.value.trim()));
+document.getElementById('export-log-json-button').addEventListener('click', () => simulator.exportLog('json'));
+document.getElementById('export-log-csv-button').addEventListener('click', () => simulator.exportLog('csv'));
 
-// Load a default example
-window.addEventListener('load', () => {
+// Open a share link or the last project, or on a first visit, a default example
+window.addEventListener('load', async () => {
+    simulator.renderProjects();
+    if (await simulator.openShareLink() || simulator.openLastProject()) return;
     simulator.logEvent("Simulator loaded. Building an AND gate example.");
     simulator.addTrigger({ id: 'T_A_MEM', activateOn: 'A_ON', deactivateOn: 'RESET', x: 50, y: 100, initialState: true });
     simulator.addTrigger({ id: 'T_B_MEM', activateOn: 'B_ON', deactivateOn: 'RESET', x: 50, y: 250, initialState: true });
     simulator.addTrigger({ id: 'T_CHAIN', activateOn: 'A_ON', deactivateOn: 'RESET', triggerOn: 'B_ON', whenTriggered: 'AND_SUCCESS', delay: 2, x: 300, y: 175 });
     simulator.addTrigger({ id: 'T_RESULT', activateOn: 'AND_SUCCESS', deactivateOn: 'RESET', x: 550, y: 175 });
-    simulator.logEvent("AND Gate loaded. Pulse 'RESET', then 'A_ON', then 'B_ON' to test.");
+    simulator.scenarios.push({
+        name: 'AND gate',
+        pulses: [{ time: 0, channel: 'RESET' }, { time: 1, channel: 'A_ON' }, { time: 2, channel: 'B_ON' }],
+        assertions: [
+            { type: 'state', trigger: 'T_RESULT', active: false, at: 3 },
+            { type: 'state', trigger: 'T_RESULT', active: true, at: 4 },
+            { type: 'fired', channel: 'AND_SUCCESS', count: 1, before: 10 },
+        ],
+    });
+    simulator.renderScenarioList(0);
+    simulator.meta.name = 'AND gate example';
+    simulator.renderLayoutMeta();
+    simulator.resetHistory('AND gate example');
+    simulator.createProject();
+    simulator.logEvent("AND Gate loaded. Pulse 'RESET', then 'A_ON', then 'B_ON' to test, or run the 'AND gate' scenario.");
 });
 
 // --- UI: View toggle for Home / Docs (moved from index.html) ---
@@ -0,0 +1,188 @@
+// --- Timeline / logic-analyzer view ---
+// Draws the engine trace as one waveform row per trigger over simulated time,
+// with ticks for processed pulses and TRIGGERED events, and a scrubbable cursor
+// that previews earlier states on the canvas.
+
+const TIMELINE_LABEL_WIDTH = 120;
+const TIMELINE_ROW_HEIGHT = 22;
+const TIMELINE_AXIS_HEIGHT = 18;
+const TIMELINE_MIN_UNIT_WIDTH = 40; // Pixels per unit of simulated time
+const TIMELINE_PADDING = 30;
+const TIMELINE_ROW_MARGIN = 10; // Rows drawn above and below the scrolled-to ones
+
+class Timeline {
+    constructor(simulator, container, cursorLabel) {
+        this.simulator = simulator;
+        this.container = container;
+        this.cursorLabel = cursorLabel;
+        this.cursorTime = null;
+        this.renderQueued = false;
+        this.isScrubbing = false;
+        this.unitWidth = TIMELINE_MIN_UNIT_WIDTH;
+
+        this.container.addEventListener('mousedown', (e) => {
+            if (!this.toTimelineX(e)) return;
+            this.isScrubbing = true;
+            this.scrubTo(e);
+        });
+        window.addEventListener('mousemove', (e) => { if (this.isScrubbing) this.scrubTo(e); });
+        window.addEventListener('mouseup', () => { this.isScrubbing = false; });
+        // Only the rows in view are drawn, so scrolling brings in the rest
+        this.container.addEventListener('scroll', () => this.requestRender());
+    }
+
+    isVisible() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    // Coalesces renders to one per frame; simulation may record many events per frame
+    requestRender() {
+        if (this.renderQueued || !this.isVisible()) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    // Mouse x relative to the start of the waveform area, or null over the labels
+    toTimelineX(event) {
+        const rect = this.container.getBoundingClientRect();
+        const x = event.clientX - rect.left + this.container.scrollLeft - TIMELINE_LABEL_WIDTH;
+        return x >= 0 ? x : null;
+    }
+
+    scrubTo(event) {
+        const x = this.toTimelineX(event);
+        if (x === null) return;
+        const time = Math.min(Math.max(0, x / this.unitWidth), this.getDuration());
+        this.setCursor(Math.round(time * 100) / 100);
+    }
+
+    setCursor(time) {
+        this.cursorTime = time;
+        this.simulator.previewStates(time === null ? null : this.simulator.getStatesAt(time));
+        this.cursorLabel.textContent = time === null ? 'Live' : `Cursor T=${time}`;
+        this.render();
+    }
+
+    clearCursor() {
+        if (this.cursorTime === null) return;
+        this.setCursor(null);
+    }
+
+    getDuration() {
+        const { stateChanges, pulses, triggered } = this.simulator.trace;
+        return [stateChanges, pulses, triggered].reduce(
+            (latest, entries) => entries.reduce((max, entry) => Math.max(max, entry.time), latest),
+            Math.max(1, this.simulator.time),
+        );
+    }
+
+    render() {
+        if (!this.isVisible()) return;
+        const simulator = this.simulator;
+        const { initialStates, stateChanges, pulses, triggered } = simulator.trace;
+        const triggers = Object.values(simulator.triggers);
+        const duration = this.getDuration();
+        const availableWidth = this.container.clientWidth - TIMELINE_LABEL_WIDTH - TIMELINE_PADDING;
+        this.unitWidth = Math.max(TIMELINE_MIN_UNIT_WIDTH, availableWidth / duration);
+        const x = (time) => TIMELINE_LABEL_WIDTH + time * this.unitWidth;
+        const rowTop = (index) => TIMELINE_AXIS_HEIGHT + index * TIMELINE_ROW_HEIGHT;
+        const width = x(duration) + TIMELINE_PADDING;
+        const height = rowTop(triggers.length + 1);
+        const cursorStates = this.cursorTime === null ? null : simulator.getStatesAt(this.cursorTime);
+        const byTrigger = (entries) => {
+            const grouped = new Map();
+            entries.forEach(entry => {
+                if (!grouped.has(entry.id)) grouped.set(entry.id, []);
+                grouped.get(entry.id).push(entry);
+            });
+            return grouped;
+        };
+        const changesOf = byTrigger(stateChanges);
+        const triggeredOf = byTrigger(triggered);
+        // Trigger rows in view; all of them before the container has a height
+        const firstRow = Math.max(0, Math.floor((this.container.scrollTop - TIMELINE_AXIS_HEIGHT) / TIMELINE_ROW_HEIGHT) - TIMELINE_ROW_MARGIN);
+        const lastRow = this.container.clientHeight > 0
+            ? firstRow + Math.ceil(this.container.clientHeight / TIMELINE_ROW_HEIGHT) + 2 * TIMELINE_ROW_MARGIN
+            : triggers.length;
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.classList.add('timeline');
+        const add = (parent, tag, attributes, title) => {
+            const node = document.createElementNS(SVG_NS, tag);
+            Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+            if (title) {
+                const titleNode = document.createElementNS(SVG_NS, 'title');
+                titleNode.textContent = title;
+                node.appendChild(titleNode);
+            }
+            parent.appendChild(node);
+            return node;
+        };
+
+        // Time axis, labelled often enough to read without overlapping
+        const labelStep = Math.max(1, Math.ceil(TIMELINE_MIN_UNIT_WIDTH / this.unitWidth));
+        for (let t = 0; t <= duration; t += labelStep) {
+            add(svg, 'line', { x1: x(t), y1: TIMELINE_AXIS_HEIGHT - 4, x2: x(t), y2: height, class: 'timeline-grid' });
+            add(svg, 'text', { x: x(t) + 2, y: TIMELINE_AXIS_HEIGHT - 6, class: 'timeline-axis-label' }).textContent = `T=${t}`;
+        }
+
+        // Pulse row
+        add(svg, 'text', { x: 4, y: rowTop(0) + 15, class: 'timeline-label' }).textContent = 'Pulses';
+        pulses.forEach(pulse => {
+            add(svg, 'line', {
+                x1: x(pulse.time), y1: rowTop(0) + 3, x2: x(pulse.time), y2: rowTop(1) - 3, class: 'timeline-pulse',
+            }, `T=${pulse.time}: '${pulse.channel}' from '${pulse.sourceId}'`);
+        });
+
+        // One waveform per trigger
+        triggers.forEach((trigger, index) => {
+            if (index < firstRow || index > lastRow) return;
+            const top = rowTop(index + 1);
+            const high = top + 4;
+            const low = top + TIMELINE_ROW_HEIGHT - 4;
+            const shownState = cursorStates ? cursorStates[trigger.id] : trigger.state;
+            add(svg, 'text', {
+                x: 4, y: top + 15, class: `timeline-label ${shownState ? 'active' : 'inactive'}`,
+            }).textContent = trigger.id;
+
+            let state = initialStates[trigger.id] === undefined ? trigger.initialState : initialStates[trigger.id];
+            let points = `${x(0)},${state ? high : low}`;
+            let segmentStart = 0;
+            const addSegment = (end) => {
+                if (state) add(svg, 'rect', { x: x(segmentStart), y: high, width: x(end) - x(segmentStart), height: low - high, class: 'timeline-active' });
+            };
+            (changesOf.get(trigger.id) || []).forEach(change => {
+                addSegment(change.time);
+                points += ` ${x(change.time)},${state ? high : low} ${x(change.time)},${change.state ? high : low}`;
+                state = change.state;
+                segmentStart = change.time;
+            });
+            addSegment(duration);
+            points += ` ${x(duration)},${state ? high : low}`;
+            add(svg, 'polyline', { points, class: 'timeline-wave' });
+
+            (triggeredOf.get(trigger.id) || []).forEach(entry => {
+                const tx = x(entry.time);
+                add(svg, 'path', {
+                    d: `M ${tx - 4} ${top} L ${tx + 4} ${top} L ${tx} ${top + 6} z`, class: 'timeline-triggered',
+                }, `T=${entry.time}: '${trigger.id}' TRIGGERED${entry.channel ? ` by '${entry.channel}'` : ' manually'}`);
+            });
+        });
+
+        if (this.cursorTime !== null) {
+            add(svg, 'line', { x1: x(this.cursorTime), y1: 0, x2: x(this.cursorTime), y2: height, class: 'timeline-cursor' });
+        }
+
+        // Replacing the drawing keeps the scroll position, since the size stays the same
+        const { scrollTop, scrollLeft } = this.container;
+        this.container.innerHTML = '';
+        this.container.appendChild(svg);
+        this.container.scrollTop = scrollTop;
+        this.container.scrollLeft = scrollLeft;
+    }
+}